@@ -0,0 +1,162 @@
+import { parseFeed, htmlToText } from '../feed-formats.js';
+import { childElements, childElement } from '../xml.js';
+
+// New-style (2401.01234) and old-style (cs/0112017, math.GT/0309136) identifiers, optional version
+const ARXIV_ID_PATTERN = /(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v(\d+))?/;
+
+// Subject classes look like cs.AI, stat.ML, q-bio.NC, eess.IV (and plain archives like hep-th)
+const SUBJECT_PATTERN = /^[a-z-]+(\.[A-Z]{2})?$/;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Subject class a listing feed is for: /rss/cs.AI, /rss/cs.AI+cs.LG or an API query on cat:cs.AI
+function listingSubject(source) {
+  const match = source.url.match(/\/rss\/([^/?#+]+)/) || source.url.match(/cat:([A-Za-z.-]+)/);
+  return match ? match[1] : null;
+}
+
+// arXiv ID and version from the first of guid, link and title that carries one
+function parseArxivId(...candidates) {
+  for (const candidate of candidates) {
+    const match = candidate && candidate.match(ARXIV_ID_PATTERN);
+    if (match) return { arxivId: match[1], version: match[2] ? parseInt(match[2]) : null };
+  }
+  return { arxivId: null, version: null };
+}
+
+// The RSS feeds put all authors in one dc:creator ("Alice Smith, Bob Jones"; old feeds as
+// links), the API lists them one by one
+function splitAuthors(authors) {
+  return authors
+    .flatMap(author => htmlToText(author).split(/,\s*|\s+and\s+/))
+    .map(author => author.trim())
+    .filter(Boolean);
+}
+
+// Subject classes of an item, primary first: the API marks it, RSS lists it first,
+// old RDF feeds only carry it in the title ("... (arXiv:2401.01234v1 [cs.LG])")
+function itemCategories(item, fallback) {
+  const raw = item.raw || {};
+  let primary = null;
+  let categories = [];
+
+  if (Array.isArray(raw.categories)) {
+    categories = raw.categories.map(category => (typeof category === 'string' ? category : category?._ || '').trim());
+  } else if (Array.isArray(raw.children)) {
+    primary = childElement(raw, 'arxiv:primary_category')?.attributes.term || null;
+    categories = childElements(raw)
+      .filter(element => element.name.endsWith('category') && element.attributes.term)
+      .map(element => element.attributes.term);
+  }
+  const titleMatch = (item.title || '').match(/\(arXiv:\S+\s+\[([^\]]+)\]/);
+  if (titleMatch) categories.push(titleMatch[1]);
+
+  categories = [...new Set(categories.filter(category => SUBJECT_PATTERN.test(category)))];
+  primary = primary || categories[0] || fallback;
+  return { primary, categories: primary ? [primary, ...categories.filter(category => category !== primary)] : categories };
+}
+
+// The listing feeds prefix the abstract with "arXiv:2401.01234v1 Announce Type: new Abstract:"
+function cleanAbstract(summary) {
+  const announceType = (summary.match(/Announce Type:\s*([\w-]+)/i) || [])[1] || null;
+  const abstract = summary
+    .replace(/^arXiv:\S+\s*/i, '')
+    .replace(/^Announce Type:\s*[\w-]+\s*/i, '')
+    .replace(/^Abstract:\s*/i, '')
+    .trim();
+  return { abstract, announceType };
+}
+
+// PDF link the API gives when it is http(s), or the one every paper has at arxiv.org/pdf/<id>
+function pdfUrlOf(item, arxivId, version) {
+  const pdfLink = Array.isArray(item.raw?.children)
+    ? childElements(item.raw).find(element => element.name.endsWith('link') && element.attributes.title === 'pdf')
+    : null;
+  const href = pdfLink?.attributes.href || '';
+  return /^https?:\/\//i.test(href) ? href : `https://arxiv.org/pdf/${arxivId}${version ? `v${version}` : ''}`;
+}
+
+// Parse an arXiv listing (RSS, old RDF or the Atom API) into normalized feed items. Each item
+// carries a `paper` object: arxivId, version, authors, primary and cross-listed subject
+// classes, the abstract and the PDF link. Links point at the abstract page.
+async function parseArxivListing(body, source, contentType = '') {
+  const feed = await parseFeed(body, contentType);
+  const subject = listingSubject(source);
+
+  const items = feed.items
+    .map(item => {
+      const { arxivId, version } = parseArxivId(item.guid, item.link, item.title);
+      if (!arxivId) return null;
+
+      const { primary, categories } = itemCategories(item, subject);
+      const { abstract, announceType } = cleanAbstract(item.summary || '');
+      const authors = splitAuthors(item.authors);
+      const title = (item.title || '').replace(/\s*\(arXiv:[^)]*\)\s*$/, '').trim();
+
+      return {
+        ...item,
+        title: title || null,
+        link: `https://arxiv.org/abs/${arxivId}`,
+        authors,
+        summary: abstract,
+        paper: {
+          arxivId,
+          version,
+          authors,
+          primaryCategory: primary,
+          categories,
+          abstract,
+          pdfUrl: pdfUrlOf(item, arxivId, version),
+          announceType
+        }
+      };
+    })
+    .filter(item => item && item.title);
+
+  return { ...feed, format: `arxiv-${feed.format}`, items };
+}
+
+// A paper cross-listed in several subject classes shows up in each of their listings.
+// Keep one article per arXiv ID (from the higher-priority listing, then the first one seen)
+// and record every listing it appeared in.
+function dedupePapers(articles) {
+  const byId = new Map();
+  const kept = [];
+  let duplicates = 0;
+
+  const ranked = articles
+    .map((article, index) => ({ article, index }))
+    .sort((a, b) => {
+      const rank = ({ article }) => PRIORITY_RANK[article.source_priority] ?? PRIORITY_RANK.low;
+      return rank(a) - rank(b) || a.index - b.index;
+    });
+
+  for (const { article, index } of ranked) {
+    const arxivId = article.paper?.arxivId;
+    if (!arxivId) {
+      kept.push({ article, index });
+      continue;
+    }
+
+    const existing = byId.get(arxivId);
+    if (!existing) {
+      const copy = { ...article, paper: { ...article.paper, listedIn: [article.source] } };
+      byId.set(arxivId, copy);
+      kept.push({ article: copy, index });
+      continue;
+    }
+
+    duplicates++;
+    const paper = existing.paper;
+    if (!paper.listedIn.includes(article.source)) paper.listedIn.push(article.source);
+    paper.categories = [...new Set([...paper.categories, ...article.paper.categories])];
+  }
+
+  // Back in crawl order
+  return {
+    articles: kept.sort((a, b) => a.index - b.index).map(({ article }) => article),
+    duplicates
+  };
+}
+
+export { listingSubject, parseArxivId, parseArxivListing, dedupePapers };
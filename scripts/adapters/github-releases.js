@@ -0,0 +1,70 @@
+import { parseFeed, htmlToText } from '../feed-formats.js';
+
+// Release notes kept on the article
+const MAX_NOTES_LENGTH = 500;
+
+// Tags and titles that mark a release as a prerelease (v1.2.0-rc1, 0.7.0b2, v2.0.0-beta, "Nightly")
+const PRERELEASE_PATTERN = /(?:[-.]?(?:rc|alpha|beta|pre|preview|dev|nightly)[-.]?\d*|\d(?:a|b)\d+)(?:$|[-+.])/i;
+
+// owner/repo of a source, from a repository url or its releases feed url
+function repositoryOf(source) {
+  const match = source.url.match(/github\.com\/([^/?#]+)\/([^/?#]+)/i);
+  return match ? `${match[1]}/${match[2].replace(/\.git$/, '')}` : null;
+}
+
+// Releases Atom feed of a source's repository. baseUrl is crawl.githubBaseUrl (github.com, or
+// a local stand-in serving /<owner>/<repo>/releases.atom).
+function releasesFeedUrl(source, baseUrl) {
+  return `${baseUrl.replace(/\/+$/, '')}/${repositoryOf(source)}/releases.atom`;
+}
+
+// Tag of a release, from its page link (/releases/tag/<tag>) or the last segment of its entry id
+function releaseTag(item) {
+  const linkMatch = (item.link || '').match(/\/releases\/tag\/([^?#]+)/);
+  if (linkMatch) return decodeURIComponent(linkMatch[1]);
+  const idMatch = (item.guid || '').match(/\/([^/]+)$/);
+  return idMatch ? idMatch[1] : null;
+}
+
+function isPrerelease(tag, title) {
+  return PRERELEASE_PATTERN.test(tag) || /\bpre-?release\b/i.test(title || '');
+}
+
+// Parse a repository's releases Atom feed into normalized feed items. Each item carries a
+// `release` object: repository, version tag, prerelease flag (guessed from the tag and
+// title, the feed doesn't say) and an excerpt of the release notes. Release titles are often
+// just the tag, so the repository name is put in front.
+async function parseGithubReleases(body, source, contentType = '') {
+  const feed = await parseFeed(body, contentType);
+  const repository = repositoryOf(source);
+  const repoName = repository ? repository.split('/')[1] : source.name;
+
+  const items = feed.items
+    .map(item => {
+      const tag = releaseTag(item);
+      if (!tag) return null;
+
+      const name = (item.title || '').trim();
+      const title = !name || name === tag
+        ? `${repoName} ${tag}`
+        : name.toLowerCase().includes(repoName.toLowerCase()) ? name : `${repoName} ${name}`;
+      const notes = htmlToText(item.content || item.summary || '').substring(0, MAX_NOTES_LENGTH);
+
+      return {
+        ...item,
+        title,
+        summary: notes,
+        release: {
+          repository,
+          tag,
+          prerelease: isPrerelease(tag, name),
+          notes
+        }
+      };
+    })
+    .filter(Boolean);
+
+  return { ...feed, format: `github-releases-${feed.format}`, items };
+}
+
+export { repositoryOf, releasesFeedUrl, isPrerelease, parseGithubReleases };
@@ -0,0 +1,131 @@
+import { emptyItem } from '../feed-formats.js';
+import { canonicalizeUrl } from '../canonical-url.js';
+
+// Text of Ask HN / Show HN posts kept on the article
+const MAX_TEXT_LENGTH = 1000;
+
+function discussionUrl(id) {
+  return `https://news.ycombinator.com/item?id=${encodeURIComponent(id)}`;
+}
+
+// Front-page stories, one page of policy.itemLimit entries. apiUrl is crawl.hackerNewsApiUrl
+// (the search API, or a local stand-in serving /search); discussion links always point to
+// news.ycombinator.com.
+function hackerNewsListingUrl(source, apiUrl) {
+  const limit = source.policy?.itemLimit || 30;
+  return `${apiUrl.replace(/\/+$/, '')}/search?tags=front_page&hitsPerPage=${limit}`;
+}
+
+// Turn a search API response into normalized feed items. Each item links to the story's
+// outbound article (the discussion for text posts) and carries a `hackernews` object with
+// points, comment count and the discussion URL.
+function parseHackerNewsListing(body, source) {
+  let listing;
+  try {
+    listing = JSON.parse(body);
+  } catch (error) {
+    throw new Error('Not a Hacker News listing (invalid JSON)');
+  }
+  if (!Array.isArray(listing?.hits)) {
+    throw new Error('Not a Hacker News listing');
+  }
+
+  const items = listing.hits
+    .filter(hit => hit && hit.objectID && hit.title)
+    .map(hit => {
+      const text = (hit.story_text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+      return {
+        ...emptyItem(),
+        title: hit.title,
+        link: hit.url || discussionUrl(hit.objectID),
+        guid: `hn:${hit.objectID}`,
+        published: hit.created_at_i ? new Date(hit.created_at_i * 1000).toISOString() : hit.created_at || null,
+        authors: hit.author ? [hit.author] : [],
+        summary: text,
+        content: text,
+        hackernews: {
+          id: hit.objectID,
+          points: Number(hit.points) || 0,
+          comments: Number(hit.num_comments) || 0,
+          discussionUrl: discussionUrl(hit.objectID),
+          outboundUrl: hit.url || null,
+          text: text.substring(0, MAX_TEXT_LENGTH)
+        }
+      };
+    });
+
+  return {
+    format: 'hackernews',
+    title: 'Hacker News front page',
+    link: source.url,
+    items
+  };
+}
+
+// Stats that travel to an article covered elsewhere, without the story text
+function hackerNewsStats(hackernews) {
+  const { text, ...stats } = hackernews;
+  return stats;
+}
+
+// Hacker News mostly links to articles we may already have. A story whose URL is in the archive
+// (its outbound link, or the discussion of a text post we archived earlier) becomes an attachment
+// for the processor to merge into the archived article, so points and comments stay current; a
+// link whose URL another source brought in this crawl adds its stats to that article.
+// Returns { articles, attachments } with those stories removed from articles.
+function attachHackerNewsStats(articles, archivedArticles = []) {
+  const archivedByUrl = new Map();
+  for (const article of archivedArticles) {
+    if (article.url) archivedByUrl.set(canonicalizeUrl(article.url), article);
+  }
+  const crawledByUrl = new Map();
+  for (const article of articles) {
+    if (!article.hackernews && article.url) crawledByUrl.set(canonicalizeUrl(article.url), article);
+  }
+
+  const kept = [];
+  const attachments = [];
+  for (const article of articles) {
+    if (!article.hackernews || !article.url) {
+      kept.push(article);
+      continue;
+    }
+
+    const url = canonicalizeUrl(article.url);
+    const archived = archivedByUrl.get(url);
+    if (archived) {
+      attachments.push({ id: archived.id, url, hackernews: hackerNewsStats(article.hackernews) });
+      continue;
+    }
+    const crawled = article.hackernews.outboundUrl && crawledByUrl.get(url);
+    if (crawled) {
+      crawled.hackernews = hackerNewsStats(article.hackernews);
+      continue;
+    }
+    kept.push(article);
+  }
+
+  return { articles: kept, attachments };
+}
+
+// Put the Hacker News stats found by the crawler on the archived articles they belong to
+function mergeHackerNewsStats(articles, attachments = []) {
+  const byId = new Map(articles.map(article => [article.id, article]));
+  let merged = 0;
+
+  for (const attachment of attachments) {
+    const article = byId.get(attachment.id);
+    if (!article) continue;
+    article.hackernews = { ...article.hackernews, ...attachment.hackernews };
+    merged++;
+  }
+
+  return merged;
+}
+
+export {
+  hackerNewsListingUrl,
+  parseHackerNewsListing,
+  attachHackerNewsStats,
+  mergeHackerNewsStats
+};
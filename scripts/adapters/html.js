@@ -0,0 +1,62 @@
+import { parse } from 'node-html-parser';
+import { emptyItem, toISODate } from '../feed-formats.js';
+
+// Read a "selector" or "selector@attribute" spec relative to an element.
+// Without an attribute the element text is used; an empty selector means the element itself.
+function readSelector(element, spec) {
+  if (!spec) return null;
+
+  const [selector, attribute] = spec.split('@');
+  const target = selector.trim() ? element.querySelector(selector.trim()) : element;
+  if (!target) return null;
+
+  const value = attribute ? target.getAttribute(attribute.trim()) : target.text;
+  return value ? value.replace(/\s+/g, ' ').trim() : null;
+}
+
+// Resolve relative links against the page URL
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+// Turn an HTML index page into normalized feed items using the CSS selectors from sources.json:
+//   selectors.item     - container of one entry (required)
+//   selectors.title    - title text (defaults to the first link)
+//   selectors.link     - link element, href is read unless "@attr" is given (defaults to "a")
+//   selectors.date     - publication date, e.g. "time@datetime"
+//   selectors.summary  - teaser text
+function parseHtmlListPage(html, source) {
+  const { selectors } = source;
+  const root = parse(html);
+
+  const items = root.querySelectorAll(selectors.item).map(element => {
+    const linkSpec = selectors.link || 'a';
+    const link = resolveUrl(readSelector(element, linkSpec.includes('@') ? linkSpec : `${linkSpec}@href`), source.url);
+    const title = readSelector(element, selectors.title || 'a');
+    const summary = readSelector(element, selectors.summary) || '';
+
+    return {
+      ...emptyItem(),
+      title,
+      link,
+      guid: link,
+      published: toISODate(readSelector(element, selectors.date)),
+      summary,
+      content: summary
+    };
+  }).filter(item => item.title && item.link);
+
+  return {
+    format: 'html',
+    title: readSelector(root, 'title') || source.name,
+    link: source.url,
+    items
+  };
+}
+
+export { parseHtmlListPage };
@@ -0,0 +1,119 @@
+import { emptyItem } from '../feed-formats.js';
+
+// Self-text kept on the article; the description gets the first 200 characters like any feed
+const MAX_SELFTEXT_LENGTH = 1000;
+
+// Subreddit of a source, from its url (https://www.reddit.com/r/<name>/)
+function subredditName(source) {
+  const match = source.url.match(/\/r\/([^/?#]+)/i);
+  return match ? match[1] : null;
+}
+
+// JSON listing of the subreddit's hot posts, one page of policy.itemLimit entries. baseUrl is
+// crawl.redditBaseUrl (www.reddit.com, or a local stand-in serving /r/<name>/hot.json);
+// article links always point to www.reddit.com.
+function redditListingUrl(source, baseUrl) {
+  const subreddit = subredditName(source);
+  const limit = source.policy?.itemLimit || 25;
+  return `${baseUrl.replace(/\/+$/, '')}/r/${subreddit}/hot.json?limit=${limit}&raw_json=1`;
+}
+
+// Preview image of a post (raw_json=1 keeps its URL unescaped), or the thumbnail when there is
+// none; thumbnail is "self", "default" or "nsfw" for posts without one
+function postImage(post) {
+  const preview = post.preview?.images?.[0]?.source?.url;
+  if (preview) return preview;
+  return /^https?:\/\//.test(post.thumbnail || '') ? post.thumbnail : null;
+}
+
+// Turn a subreddit listing into normalized feed items. Each item carries a `reddit` object
+// with the engagement data the feed doesn't have: score, comments, flair, self-text and the
+// outbound link of link posts. Pinned moderator posts are dropped.
+function parseRedditListing(body, source) {
+  let listing;
+  try {
+    listing = JSON.parse(body);
+  } catch (error) {
+    throw new Error('Not a reddit listing (invalid JSON)');
+  }
+  if (listing?.kind !== 'Listing' || !Array.isArray(listing.data?.children)) {
+    throw new Error('Not a reddit listing');
+  }
+
+  const items = listing.data.children
+    .filter(child => child.kind === 't3' && child.data && !child.data.stickied)
+    .map(({ data: post }) => {
+      const selftext = (post.selftext || '').replace(/\s+/g, ' ').trim();
+      const outboundUrl = post.is_self ? null : post.url_overridden_by_dest || post.url || null;
+
+      return {
+        ...emptyItem(),
+        title: post.title || null,
+        link: post.permalink ? `https://www.reddit.com${post.permalink}` : null,
+        guid: post.name || null,
+        published: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : null,
+        authors: post.author ? [post.author] : [],
+        summary: selftext,
+        content: selftext,
+        image: postImage(post),
+        reddit: {
+          subreddit: post.subreddit || subredditName(source),
+          score: post.score ?? 0,
+          comments: post.num_comments ?? 0,
+          flair: post.link_flair_text || null,
+          selftext: selftext.substring(0, MAX_SELFTEXT_LENGTH),
+          outboundUrl
+        }
+      };
+    })
+    .filter(item => item.title && item.link);
+
+  return {
+    format: 'reddit',
+    title: `r/${subredditName(source)}`,
+    link: source.url,
+    items
+  };
+}
+
+// Stats that travel to an archived post, without the self-text
+function redditStats(reddit) {
+  const { selftext, ...stats } = reddit;
+  return stats;
+}
+
+// Posts stay in the listing while their votes come in. One that is already in the archive
+// becomes an attachment for the processor to refresh the archived article's stats with.
+// Returns { articles, attachments } with those posts removed from articles.
+function attachRedditStats(articles, archivedArticles = []) {
+  const archivedIds = new Set(archivedArticles.map(article => article.id));
+  const kept = [];
+  const attachments = [];
+
+  for (const article of articles) {
+    if (article.reddit && archivedIds.has(article.id)) {
+      attachments.push({ id: article.id, reddit: redditStats(article.reddit) });
+    } else {
+      kept.push(article);
+    }
+  }
+
+  return { articles: kept, attachments };
+}
+
+// Put the fresh Reddit stats found by the crawler on the archived articles they belong to
+function mergeRedditStats(articles, attachments = []) {
+  const byId = new Map(articles.map(article => [article.id, article]));
+  let merged = 0;
+
+  for (const attachment of attachments) {
+    const article = byId.get(attachment.id);
+    if (!article) continue;
+    article.reddit = { ...article.reddit, ...attachment.reddit };
+    merged++;
+  }
+
+  return merged;
+}
+
+export { subredditName, redditListingUrl, parseRedditListing, attachRedditStats, mergeRedditStats };
@@ -0,0 +1,50 @@
+import { parseFeed } from '../feed-formats.js';
+import { childElement, childText } from '../xml.js';
+
+// Description kept on the article; the crawl description gets the first 200 characters like any feed
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Video ID from yt:videoId, or from the entry id (yt:video:<id>) and watch link as fallbacks.
+// entry is null when the feed went through rss-parser rather than xml.js.
+function videoIdOf(entry, item) {
+  const id = entry ? childText(entry, 'yt:videoId') : null;
+  if (id) return id;
+  const match = (item.guid || '').match(/^yt:video:([\w-]{11})$/) || (item.link || '').match(/[?&]v=([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+// Parse a channel (or playlist) Atom feed into normalized feed items. Each item carries a
+// `media` object from the feed's media:group: video ID, thumbnail, description and view count.
+// The description also becomes the item summary, which the feed otherwise leaves empty.
+async function parseYoutubeFeed(body, contentType = '') {
+  const feed = await parseFeed(body, contentType);
+
+  const items = feed.items.map(item => {
+    const entry = Array.isArray(item.raw?.children) ? item.raw : null;
+    const group = childElement(entry, 'media:group');
+    const videoId = videoIdOf(entry, item);
+    if (!videoId) return item;
+
+    const description = (childText(group, 'media:description') || '').replace(/\s+/g, ' ').trim();
+    const thumbnail = childElement(group, 'media:thumbnail')?.attributes.url
+      || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
+    const views = parseInt(childElement(childElement(group, 'media:community'), 'media:statistics')?.attributes.views);
+
+    return {
+      ...item,
+      link: `https://www.youtube.com/watch?v=${videoId}`,
+      summary: item.summary || description,
+      media: {
+        type: 'video',
+        videoId,
+        thumbnail,
+        description: description.substring(0, MAX_DESCRIPTION_LENGTH),
+        views: Number.isNaN(views) ? null : views
+      }
+    };
+  });
+
+  return { ...feed, format: `youtube-${feed.format}`, items };
+}
+
+export { parseYoutubeFeed };
@@ -0,0 +1,21 @@
+import { parentPort, workerData } from 'worker_threads';
+import { loadClassifier, classifyBatch } from './ai-filter.js';
+
+// Model worker of the AI filter pool: loads the classifier once, then scores the batches it is sent
+let classifier = null;
+try {
+  classifier = await loadClassifier(workerData.model);
+  parentPort.postMessage({ type: 'ready' });
+} catch (error) {
+  parentPort.postMessage({ type: 'error', error: error.message });
+}
+
+if (classifier) {
+  parentPort.on('message', async ({ id, texts }) => {
+    try {
+      parentPort.postMessage({ type: 'result', id, results: await classifyBatch(classifier, texts) });
+    } catch (error) {
+      parentPort.postMessage({ type: 'result', id, error: error.message });
+    }
+  });
+}
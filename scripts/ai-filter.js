@@ -0,0 +1,337 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { pipeline, env } from '@xenova/transformers';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configure transformers
+env.allowRemoteFiles = true;
+env.allowLocalFiles = true;
+env.cacheDir = path.join(__dirname, '../.cache');
+
+const CACHE_PATH = path.join(__dirname, '../data/relevance-cache.json');
+
+// STAGE 1: Binary AI Relevance Check (more focused, less confusing categories)
+const BINARY_LABELS = [
+  'AI and machine learning related content',
+  'Non-AI technical content',
+  'General news and entertainment'
+];
+
+// STAGE 2: If AI-related, get specific AI category for better insights
+const SPECIFIC_LABELS = [
+  'LLM and language models',
+  'Computer vision and image AI',
+  'AI tools and developer platforms',
+  'AI research and papers',
+  'AI business and industry news'
+];
+
+const HYPOTHESIS_TEMPLATE = 'This example is {}.';
+
+// Cached scores are only valid for the model and labels they were computed with
+function cacheVersion(model) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([model, BINARY_LABELS, SPECIFIC_LABELS, HYPOTHESIS_TEMPLATE]))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+// The crawl settings of the pipeline config (model, workers, batchSize, batchWaitMs,
+// relevanceCacheDays, confidenceThreshold) and the pool slots ({ run(texts), busy, dead }),
+// both set by initializeAIFilter
+let settings = null;
+let slots = [];
+let workerCount = 0;
+let cache = { entries: {} };
+const queue = [];
+const batches = [];
+let flushTimer = null;
+const inFlight = new Map();
+const stats = { scored: 0, cacheHits: 0, batches: 0, busyMs: 0, running: 0, busySince: null };
+
+// Load the zero-shot model, in a worker or on the main thread
+async function loadClassifier(model) {
+  return pipeline('zero-shot-classification', model, {
+    cache_dir: env.cacheDir,
+    quantized: true
+  });
+}
+
+function softmax(values) {
+  const max = Math.max(...values);
+  const exps = values.map(value => Math.exp(value - max));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return exps.map(value => value / sum);
+}
+
+// Scores of every text against the labels, in label order. The pipeline runs one forward
+// pass per (text, label) pair; this tokenizes all pairs of the batch together and runs one
+// padded pass, then softmaxes the entailment logits per text like the pipeline does.
+async function scorePairs(classifier, texts, labels) {
+  const hypotheses = labels.map(label => HYPOTHESIS_TEMPLATE.replace('{}', label));
+  const inputs = classifier.tokenizer(texts.flatMap(text => hypotheses.map(() => text)), {
+    text_pair: texts.flatMap(() => hypotheses),
+    padding: true,
+    truncation: true
+  });
+  const { logits } = await classifier.model(inputs);
+  const width = logits.dims[1];
+
+  return texts.map((text, t) => softmax(hypotheses.map((hypothesis, h) =>
+    logits.data[(t * hypotheses.length + h) * width + classifier.entailment_id]
+  )));
+}
+
+const round = value => Number(value.toFixed(4));
+
+// Both stages for a batch of texts: the binary check for all of them, the specific AI
+// category only for the ones that came out AI-related
+async function classifyBatch(classifier, texts) {
+  const binary = await scorePairs(classifier, texts, BINARY_LABELS);
+  const aiIndexes = texts.map((text, index) => index).filter(index => binary[index][0] > Math.max(binary[index][1], binary[index][2]));
+  const specific = aiIndexes.length > 0 ? await scorePairs(classifier, aiIndexes.map(index => texts[index]), SPECIFIC_LABELS) : [];
+
+  return texts.map((text, index) => {
+    const [aiScore, technicalScore, generalScore] = binary[index];
+    const scores = specific[aiIndexes.indexOf(index)];
+    const best = scores ? scores.indexOf(Math.max(...scores)) : -1;
+    return {
+      aiScore: round(aiScore),
+      nonAiScore: round(technicalScore + generalScore),
+      isAIRelated: Boolean(scores),
+      label: BINARY_LABELS[binary[index].indexOf(Math.max(...binary[index]))],
+      category: scores ? SPECIFIC_LABELS[best] : 'artificial intelligence and machine learning',
+      categoryScore: round(scores ? Math.max(aiScore, scores[best]) : aiScore)
+    };
+  });
+}
+
+// Start one model worker; resolves with a pool slot, or null if the model didn't load
+function startWorker() {
+  return new Promise(resolve => {
+    const worker = new Worker(new URL('./ai-filter-worker.js', import.meta.url), { workerData: { model: settings.model } });
+    const pending = new Map();
+    let nextId = 0;
+
+    const slot = {
+      busy: false,
+      dead: false,
+      worker,
+      run: texts => new Promise((resolveRun, rejectRun) => {
+        const id = nextId++;
+        pending.set(id, { resolve: resolveRun, reject: rejectRun });
+        worker.postMessage({ id, texts });
+      })
+    };
+    const fail = error => {
+      slot.dead = true;
+      pending.forEach(({ reject }) => reject(error));
+      pending.clear();
+    };
+
+    worker.on('message', message => {
+      if (message.type === 'ready') return resolve(slot);
+      if (message.type === 'error') {
+        console.log(`⚠️ AI filter worker failed to load the model: ${message.error}`);
+        worker.terminate();
+        return resolve(null);
+      }
+      const request = pending.get(message.id);
+      pending.delete(message.id);
+      if (message.error) request?.reject(new Error(message.error));
+      else request?.resolve(message.results);
+    });
+    worker.on('error', error => {
+      fail(error);
+      resolve(null);
+    });
+    worker.on('exit', () => fail(new Error('AI filter worker exited')));
+  });
+}
+
+// Initialize AI classifier for intelligent filtering with the crawl settings of the pipeline
+// config: a pool of model workers, or the model on the main thread with workers set to 0
+async function initializeAIFilter(crawlSettings) {
+  if (slots.length > 0) return true;
+  settings = crawlSettings;
+  try {
+    console.log('🧠 Loading AI classifier for intelligent filtering...');
+    if (settings.workers > 0) {
+      slots = (await Promise.all(Array.from({ length: settings.workers }, startWorker))).filter(Boolean);
+      if (slots.length === 0) throw new Error('no worker could load the model');
+      workerCount = slots.length;
+    } else {
+      const classifier = await loadClassifier(settings.model);
+      slots = [{ busy: false, dead: false, run: texts => classifyBatch(classifier, texts) }];
+    }
+    console.log(`✅ AI classifier ready for content filtering (${workerCount > 0 ? `${workerCount} model workers` : 'main thread'}, batches of ${settings.batchSize})`);
+    return true;
+  } catch (error) {
+    console.log('⚠️ AI classifier failed to load, falling back to keyword filtering:', error.message);
+    return false;
+  }
+}
+
+// Stop the workers so the process can exit
+async function closeAIFilter() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  await Promise.all(slots.filter(slot => slot.worker).map(slot => slot.worker.terminate()));
+  slots = [];
+}
+
+// Wall-clock time with at least one batch running, for the throughput figure
+function trackBusy(delta) {
+  if (stats.running === 0 && delta > 0) stats.busySince = Date.now();
+  stats.running += delta;
+  if (stats.running === 0) stats.busyMs += Date.now() - stats.busySince;
+}
+
+async function runBatch(slot, batch) {
+  slot.busy = true;
+  trackBusy(1);
+  try {
+    const results = await slot.run(batch.map(entry => entry.text));
+    batch.forEach((entry, index) => entry.resolve(results[index]));
+    stats.batches++;
+    stats.scored += batch.length;
+  } catch (error) {
+    batch.forEach(entry => entry.reject(error));
+  } finally {
+    slot.busy = false;
+    trackBusy(-1);
+    dispatchBatches();
+  }
+}
+
+// Hand waiting batches to idle slots; fail them when no slot is left alive
+function dispatchBatches() {
+  const live = slots.filter(slot => !slot.dead);
+  if (live.length === 0) {
+    batches.splice(0).flat().forEach(entry => entry.reject(new Error('No AI filter worker running')));
+    return;
+  }
+  for (const slot of live) {
+    if (!slot.busy && batches.length > 0) runBatch(slot, batches.shift());
+  }
+}
+
+function flushQueue() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  while (queue.length > 0) batches.push(queue.splice(0, settings.batchSize));
+  dispatchBatches();
+}
+
+// Queue a text for the next batch. Sources crawl concurrently, so a batch collects items from
+// all of them: it is sent when full or batchWaitMs after its first item.
+function enqueue(text) {
+  return new Promise((resolve, reject) => {
+    queue.push({ text, resolve, reject });
+    if (queue.length >= settings.batchSize) flushQueue();
+    else if (!flushTimer) flushTimer = setTimeout(flushQueue, settings.batchWaitMs);
+  });
+}
+
+// Cache key of an item: the text the model sees
+function cacheKey(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// Model scores of a text, from the cache when an earlier run (or another source) already scored it
+async function scoreText(text) {
+  const key = cacheKey(text);
+  const cached = cache.entries[key];
+  if (cached) {
+    stats.cacheHits++;
+    cached.usedAt = new Date().toISOString();
+    return cached;
+  }
+  if (!inFlight.has(key)) {
+    inFlight.set(key, enqueue(text)
+      .then(scores => {
+        cache.entries[key] = { ...scores, usedAt: new Date().toISOString() };
+        return scores;
+      })
+      .finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+// AI-powered content relevance scores of an item. Callers apply the confidence threshold:
+// the crawler's judgeRelevance, with the source policy's minConfidence.
+async function isAIRelevantAI(title, description = '') {
+  if (slots.length === 0) return null;
+
+  try {
+    const text = `${title} ${description}`.substring(0, 500); // Limit for performance
+    const scores = await scoreText(text);
+
+    return {
+      isRelevant: scores.isAIRelated,
+      confidence: scores.aiScore,
+      topCategory: scores.category,
+      aiScore: scores.aiScore,
+      nonAiScore: scores.nonAiScore
+    };
+  } catch (error) {
+    console.log('AI classification error:', error.message);
+    return null;
+  }
+}
+
+// Load cached scores, starting fresh if the file is missing, unreadable or from another model
+async function loadRelevanceCache() {
+  try {
+    const stored = JSON.parse(await fs.readFile(CACHE_PATH, 'utf-8'));
+    cache = stored.version === cacheVersion(settings.model) ? { entries: stored.entries || {} } : { entries: {} };
+  } catch (error) {
+    cache = { entries: {} };
+  }
+  return Object.keys(cache.entries).length;
+}
+
+// Persist cached scores, dropping the ones not used for relevanceCacheDays
+async function saveRelevanceCache() {
+  const cutoff = Date.now() - settings.relevanceCacheDays * 24 * 60 * 60 * 1000;
+  const entries = Object.fromEntries(Object.entries(cache.entries).filter(([, entry]) => new Date(entry.usedAt).getTime() >= cutoff));
+  const output = {
+    updatedAt: new Date().toISOString(),
+    model: settings.model,
+    version: cacheVersion(settings.model),
+    totalEntries: Object.keys(entries).length,
+    entries
+  };
+  await fs.mkdir(path.dirname(CACHE_PATH), { recursive: true });
+  await fs.writeFile(CACHE_PATH, JSON.stringify(output, null, 2));
+}
+
+// Throughput of this run for the crawl report. itemsPerSecond counts model-scored items per
+// second of wall-clock time with a batch running, so waiting on feeds doesn't dilute it.
+function aiFilterStats() {
+  return {
+    workers: workerCount,
+    batchSize: settings?.batchSize ?? null,
+    scored: stats.scored,
+    cacheHits: stats.cacheHits,
+    batches: stats.batches,
+    inferenceMs: stats.busyMs,
+    itemsPerSecond: stats.busyMs > 0 ? Number((stats.scored / (stats.busyMs / 1000)).toFixed(1)) : null
+  };
+}
+
+export {
+  loadClassifier,
+  classifyBatch,
+  initializeAIFilter,
+  closeAIFilter,
+  isAIRelevantAI,
+  loadRelevanceCache,
+  saveRelevanceCache,
+  aiFilterStats
+};
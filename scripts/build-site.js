@@ -1,6 +1,7 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseConfigArgs, loadConfig, configSnapshot } from './config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,19 +50,53 @@ function timeAgo(dateString) {
   return date.toLocaleDateString();
 }
 
-// Generate article HTML - simple version without AI processing for now
-function generateArticleHTML(article) {
+// Escape feed-supplied text for HTML text and attribute values
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Escaped src or href of a feed-supplied URL, or '' unless it is an http(s) URL
+function httpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? escapeHtml(parsed.href) : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// First authors of a paper or article, "et al." for the rest
+function authorsLine(authors = []) {
+  const names = authors.map(escapeHtml);
+  return names.length > 3 ? `${names.slice(0, 3).join(', ')} et al.` : names.join(', ');
+}
+
+// Compact view count: 950, 12K, 3.4M
+function formatViews(views) {
+  if (views >= 1e6) return `${(views / 1e6).toFixed(views >= 1e7 ? 0 : 1).replace(/\.0$/, '')}M`;
+  if (views >= 1e3) return `${(views / 1e3).toFixed(views >= 1e4 ? 0 : 1).replace(/\.0$/, '')}K`;
+  return String(views);
+}
+
+// Generate article HTML - simple version without AI processing for now (settings: the build settings of the pipeline config)
+function generateArticleHTML(article, settings) {
   const entities = article.entities || [];
   const summary = article.summary || '';
   const difficulty = article.difficulty || 5;
   const confidence = article.confidence || 0;
-  const confidenceIcon = confidence > 0.8 ? '✅' : '❓';
-  const confidenceTitle = confidence > 0.8 ? 'High confidence AI categorization' : 'Lower confidence - manual review suggested';
+  const confidenceIcon = confidence > settings.highConfidence ? '✅' : '❓';
+  const confidenceTitle = confidence > settings.highConfidence ? 'High confidence AI categorization' : 'Lower confidence - manual review suggested';
   
   // Group entities by type
   const orgEntities = entities.filter(e => e.entity.includes('ORG')).map(e => e.word).filter((v, i, a) => a.indexOf(v) === i);
   const productEntities = entities.filter(e => e.entity.includes('PRODUCT') || e.entity.includes('MISC')).map(e => e.word).filter((v, i, a) => a.indexOf(v) === i);
   const techEntities = entities.filter(e => e.entity.includes('TECH') || e.entity.includes('PER')).map(e => e.word).filter((v, i, a) => a.indexOf(v) === i);
+  const paper = article.paper;
+  const video = article.media?.type === 'video' ? article.media : null;
+  const thumbnail = video ? httpUrl(video.thumbnail) : '';
+  const image = !video && article.image ? httpUrl(article.image) : '';
+  const release = article.release;
+  const hackernews = article.hackernews;
   
   return `
     <article class="news-item" data-category="${article.category || article.source_category}" data-source="${article.source_category}" data-difficulty="${difficulty <= 3 ? 'easy' : difficulty <= 7 ? 'medium' : 'hard'}">
@@ -71,10 +106,24 @@ function generateArticleHTML(article) {
         <time class="pub-time">${timeAgo(article.pubDate)}</time>
       </div>
       
+      ${thumbnail ? `
+      <a href="${article.url}" target="_blank" rel="noopener" class="video-thumb">
+        <img src="${thumbnail}" alt="" loading="lazy">
+        <span class="video-badge">▶ Video${video.views ? ` · ${escapeHtml(formatViews(video.views))} views` : ''}</span>
+      </a>
+      ` : image ? `
+      <a href="${article.url}" target="_blank" rel="noopener" class="article-thumb">
+        <img src="${image}" alt="" loading="lazy" onerror="this.parentElement.remove()">
+      </a>
+      ` : ''}
+      
       <h3 class="article-title">
         ${article.title}
       </h3>
       
+      ${paper && paper.authors?.length > 0 ? `<p class="paper-authors">${authorsLine(paper.authors)}</p>` : ''}
+      ${!paper && article.authors?.length > 0 ? `<p class="article-authors">By ${authorsLine(article.authors)}</p>` : ''}
+      
       ${summary ? `<p class="article-summary">${summary.trim()}</p>` : ''}
       
       ${entities.length > 0 ? `
@@ -87,11 +136,15 @@ function generateArticleHTML(article) {
       
       <div class="metadata">
         <span class="category category-${(article.category || article.source_category).replace(/[^a-z0-9]/gi, '-')}">${article.category || article.source_category}</span>
+        ${paper ? `<span class="subject-tag" title="arXiv subject class${paper.categories?.length > 1 ? `, also ${paper.categories.slice(1).join(', ')}` : ''}">${paper.primaryCategory}</span>` : ''}
+        ${release ? `<span class="version-tag${release.prerelease ? ' prerelease' : ''}" title="${escapeHtml(release.repository)} release${release.prerelease ? ' (pre-release)' : ''}">${escapeHtml(release.tag)}${release.prerelease ? ' · pre' : ''}</span>` : ''}
         <span class="difficulty" title="Difficulty level: ${difficulty}/10">★${difficulty}</span>
         <span class="confidence" title="${confidenceTitle}">${confidenceIcon}</span>
       </div>
       
       <div class="article-actions">
+        ${paper ? `<a href="${httpUrl(paper.pdfUrl) || escapeHtml(`https://arxiv.org/pdf/${paper.arxivId}`)}" target="_blank" rel="noopener" class="pdf-link">PDF ↗</a>` : ''}
+        ${hackernews && httpUrl(hackernews.discussionUrl) ? `<a href="${httpUrl(hackernews.discussionUrl)}" target="_blank" rel="noopener" class="discussion-link" title="Hacker News discussion">▲ ${Number(hackernews.points) || 0} · ${Number(hackernews.comments) || 0} comments</a>` : ''}
         <a href="${article.url}" target="_blank" rel="noopener" class="read-more-btn">
           Read full article ↗
         </a>
@@ -142,10 +195,14 @@ async function loadDateData(date = null) {
 }
 
 // Main build function
-async function buildSite(selectedDate = null) {
+async function buildSite(selectedDate = null, config = null) {
   console.log('🏗️ Building static site...');
   
   try {
+    // Pipeline config, loaded from the config file and env when not given
+    config = config || await loadConfig();
+    const settings = config.build;
+    
     console.log('📖 Loading crawled data...');
     
     // Get available dates and load data
@@ -179,6 +236,7 @@ async function buildSite(selectedDate = null) {
     const sourceStats = {};
     const uniqueSources = new Set();
     const difficultyStats = { easy: 0, medium: 0, hard: 0 };
+    const subjectStats = {};
     
     articles.forEach(article => {
       const category = article.category || article.source_category || 'uncategorized';
@@ -196,6 +254,11 @@ async function buildSite(selectedDate = null) {
       if (difficulty <= 3) difficultyStats.easy++;
       else if (difficulty <= 7) difficultyStats.medium++;
       else difficultyStats.hard++;
+      
+      // arXiv papers by primary subject class (cs.LG, cs.CL, ...)
+      if (article.paper?.primaryCategory) {
+        subjectStats[article.paper.primaryCategory] = (subjectStats[article.paper.primaryCategory] || 0) + 1;
+      }
     });
     
     // Always load total source count from latest-processed.json for consistency
@@ -424,6 +487,28 @@ async function buildSite(selectedDate = null) {
                   </div>
                 </div>
               </div>
+              ${Object.keys(subjectStats).length > 0 ? `
+              <!-- arXiv Subject Classes -->
+              <div class="accordion-item bg-transparent">
+                <h2 class="accordion-header">
+                  <button class="accordion-button collapsed bg-transparent text-light border-0" type="button" data-bs-toggle="collapse" data-bs-target="#subjectsCollapse">
+                    Paper Subjects
+                  </button>
+                </h2>
+                <div id="subjectsCollapse" class="accordion-collapse collapse" data-bs-parent="#mobileFiltersAccordion">
+                  <div class="accordion-body">
+                    <div class="d-flex flex-wrap gap-1">
+                      <button class="btn btn-sm btn-primary filter-btn active" data-subject="all">All Subjects</button>
+                      ${Object.entries(subjectStats)
+                        .sort(([,a], [,b]) => b - a)
+                        .map(([subject, count]) => 
+                          `<button class="btn btn-sm btn-outline-light filter-btn" data-subject="${subject}">${subject} (${count})</button>`
+                        ).join('')}
+                    </div>
+                  </div>
+                </div>
+              </div>
+              ` : ''}
             </div>
           </div>
         </div>
@@ -521,6 +606,25 @@ async function buildSite(selectedDate = null) {
               </div>
             </div>
           </div>
+
+          ${Object.keys(subjectStats).length > 0 ? `
+          <!-- arXiv Subject Classes Card -->
+          <div class="card bg-dark border-secondary mb-3">
+            <div class="card-header">
+              <h6 class="mb-0 text-light">Paper Subjects</h6>
+            </div>
+            <div class="card-body">
+              <div class="d-flex flex-wrap gap-1">
+                <button class="btn btn-sm btn-primary filter-btn active" data-subject="all">All Subjects</button>
+                ${Object.entries(subjectStats)
+                  .sort(([,a], [,b]) => b - a)
+                  .map(([subject, count]) => 
+                    `<button class="btn btn-sm btn-outline-light filter-btn" data-subject="${subject}">${subject} (${count})</button>`
+                  ).join('')}
+              </div>
+            </div>
+          </div>
+          ` : ''}
         </div>
       </div>
 
@@ -528,8 +632,8 @@ async function buildSite(selectedDate = null) {
       <div class="col-lg-9">
         <main id="main-content" class="main-content">
           <!-- Articles Grid -->
-          <div class="articles-grid" id="articlesGrid">
-            ${articles.map(article => generateArticleHTML(article)).join('')}
+          <div class="articles-grid" id="articlesGrid" data-articles-per-page="${settings.articlesPerPage}" data-high-confidence="${settings.highConfidence}">
+            ${articles.map(article => generateArticleHTML(article, settings)).join('')}
           </div>
           
           <!-- Load More Button -->
@@ -564,10 +668,11 @@ async function buildSite(selectedDate = null) {
     await fs.mkdir(siteDir, { recursive: true });
     await fs.writeFile(path.join(siteDir, 'index.html'), html);
     
-    // Write the main data.json for the frontend (always use all articles for "All" option)
+    // Write the main data.json for the frontend (always use all articles for "All" option),
+    // with the build settings next to the crawl and process ones
     await fs.writeFile(
       path.join(siteDir, 'data.json'), 
-      JSON.stringify(allArticlesData, null, 2)
+      JSON.stringify({ ...allArticlesData, config: { ...allArticlesData.config, build: configSnapshot(config, 'build') } }, null, 2)
     );
     
     // Write available dates list for frontend
@@ -594,6 +699,9 @@ async function buildSite(selectedDate = null) {
     console.log('✅ Site built successfully!');
     console.log(`📊 Generated page with ${articles.length} articles`);
     console.log(`📈 Categories: ${Object.keys(categoryStats).length}`);
+    if (Object.keys(subjectStats).length > 0) {
+      console.log(`📄 Paper subjects: ${Object.entries(subjectStats).map(([subject, count]) => `${subject} (${count})`).join(', ')}`);
+    }
     console.log(`🔗 Sources: ${uniqueSourceCount} unique sources (${Object.keys(sourceStats).length} categories)`);
     
   } catch (error) {
@@ -604,7 +712,12 @@ async function buildSite(selectedDate = null) {
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  buildSite()
+  Promise.resolve()
+    .then(async () => {
+      const { overrides, args } = parseConfigArgs(process.argv.slice(2));
+      if (args.length > 0) throw new Error(`Unknown option: ${args[0]}`);
+      return buildSite(null, await loadConfig(overrides));
+    })
     .then(() => {
       console.log('✅ Build complete! All features restored');
     })
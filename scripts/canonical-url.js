@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { resolveRedirect } from './http.js';
+
+// Query parameters of analytics and ad-click tracking. Generic names like `ref` or `source`
+// stay: some sites need them to serve the page.
+const TRACKING_PARAMS = [
+  /^utm_/i, /^mc_(cid|eid)$/i, /^_hs(enc|mi)$/i, /^mkt_tok$/i, /^(fbclid|gclid|dclid|msclkid|igshid|yclid)$/i,
+  /^(ref_src|__twitter_impression)$/i
+];
+
+// Parameters that only track with certain values. Medium marks its feed links with
+// ?source=rss-..., also for publications on their own domains (pub.towardsai.net).
+const TRACKING_VALUES = {
+  source: /^rss-/i
+};
+
+// Link shorteners and feed proxies that only answer with a redirect to the article
+const REDIRECT_HOSTS = [
+  'feedproxy.google.com', 'feeds.feedburner.com', 'feedburner.google.com', 't.co', 'bit.ly', 'buff.ly',
+  'ow.ly', 'dlvr.it', 'lnkd.in', 'trib.al', 'tinyurl.com', 'rebrand.ly', 'shorturl.at', 'apple.co'
+];
+
+// Redirect pages that carry the target in a query parameter
+const WRAPPER_PARAMS = {
+  'www.google.com': 'url',
+  'google.com': 'url',
+  'l.facebook.com': 'u',
+  'lm.facebook.com': 'u',
+  'out.reddit.com': 'url',
+  'href.li': null
+};
+
+// Same-process memo of resolved redirects; a link is often listed by several feeds
+const resolvedRedirects = new Map();
+
+// Redirects that could not be followed this run, for the crawl summary
+const redirectFailures = [];
+
+function isLocalHost(hostname) {
+  return hostname === 'localhost' || /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+}
+
+// reddit.com/r/<sub>/comments/<id>/<slug> -> www.reddit.com/r/<sub>/comments/<id>, redd.it/<id> -> comments/<id>
+function canonicalRedditPath(url) {
+  if (url.hostname === 'redd.it') {
+    url.pathname = `/comments/${url.pathname.split('/')[1]}`;
+  } else {
+    const match = url.pathname.match(/^\/r\/([^/]+)\/comments\/([a-z0-9]+)/i);
+    if (match) url.pathname = `/r/${match[1]}/comments/${match[2].toLowerCase()}`;
+  }
+  url.hostname = 'www.reddit.com';
+  url.search = '';
+}
+
+// arxiv.org/pdf/2401.01234v2.pdf and abs/2401.01234v2 -> arxiv.org/abs/2401.01234 (version lives in paper metadata)
+function canonicalArxivPath(url) {
+  const match = url.pathname.match(/^\/(?:abs|pdf|html)\/(.+?)(?:v\d+)?(?:\.pdf)?\/?$/);
+  if (match) url.pathname = `/abs/${match[1]}`;
+  url.hostname = 'arxiv.org';
+  url.search = '';
+}
+
+// youtu.be/<id>, /shorts/<id>, /embed/<id>, /watch?v=<id>&t=.. -> www.youtube.com/watch?v=<id>
+function canonicalYoutubePath(url) {
+  let videoId = null;
+  if (url.hostname === 'youtu.be') {
+    videoId = url.pathname.split('/')[1];
+  } else if (url.pathname === '/watch') {
+    videoId = url.searchParams.get('v');
+  } else {
+    const match = url.pathname.match(/^\/(?:shorts|embed|live|v)\/([\w-]+)/);
+    if (match) videoId = match[1];
+  }
+  if (!videoId) return;
+  url.hostname = 'www.youtube.com';
+  url.pathname = '/watch';
+  url.search = `?v=${videoId}`;
+}
+
+// Site-specific rules, matched on the hostname
+const SITE_RULES = [
+  { test: host => host === 'redd.it' || host === 'reddit.com' || host.endsWith('.reddit.com'), apply: canonicalRedditPath },
+  { test: host => host === 'arxiv.org' || host.endsWith('.arxiv.org'), apply: canonicalArxivPath },
+  { test: host => host === 'youtu.be' || host === 'youtube.com' || host.endsWith('.youtube.com'), apply: canonicalYoutubePath },
+  // Medium appends ?source=rss-... and friends; its article URLs never need a query. Custom
+  // domains of Medium publications lose the feed's ?source=rss-... through TRACKING_VALUES.
+  { test: host => host === 'medium.com' || host.endsWith('.medium.com'), apply: url => { url.search = ''; } }
+];
+
+// Pull the target out of redirect wrappers like google.com/url?q=... without a request
+function unwrapRedirectParam(url) {
+  if (!(url.hostname in WRAPPER_PARAMS)) return null;
+  if (url.hostname === 'href.li') return url.search.slice(1) || null;
+  const target = url.searchParams.get(WRAPPER_PARAMS[url.hostname]) || url.searchParams.get('q');
+  return target && /^https?:\/\//i.test(target) ? target : null;
+}
+
+// Canonical form of an article URL, used for IDs and deduplication:
+// https, lowercase host, no fragment, default port, tracking parameters or trailing
+// slash, sorted query, plus the reddit/arxiv/youtube/medium rules above
+function canonicalizeUrl(rawUrl) {
+  if (!rawUrl) return rawUrl;
+
+  let url;
+  try {
+    url = new URL(rawUrl.trim());
+  } catch {
+    return rawUrl;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return rawUrl;
+
+  const unwrapped = unwrapRedirectParam(url);
+  if (unwrapped) return canonicalizeUrl(unwrapped);
+
+  url.hostname = url.hostname.toLowerCase();
+  if (!isLocalHost(url.hostname)) {
+    url.protocol = 'https:';
+    url.port = '';
+  }
+  url.hash = '';
+
+  const rule = SITE_RULES.find(siteRule => siteRule.test(url.hostname));
+  if (rule) rule.apply(url);
+
+  const params = [...url.searchParams]
+    .filter(([key, value]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)) && !TRACKING_VALUES[key.toLowerCase()]?.test(value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+
+  return url.toString();
+}
+
+function isRedirectHost(rawUrl) {
+  try {
+    return REDIRECT_HOSTS.includes(new URL(rawUrl).hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+// Link of a feed item with shortener/feed-proxy redirects followed, the URL readers are sent
+// to; its canonical form (articleId, canonicalizeUrl) identifies the article. A redirect that
+// can't be followed leaves the link as given. The failure is logged and counted, and not
+// memoized, so the next feed listing the link tries again.
+async function resolveArticleUrl(rawUrl) {
+  if (!rawUrl || !isRedirectHost(rawUrl)) return rawUrl;
+
+  if (!resolvedRedirects.has(rawUrl)) {
+    resolvedRedirects.set(rawUrl, resolveRedirect(rawUrl).catch(error => {
+      resolvedRedirects.delete(rawUrl);
+      redirectFailures.push({ url: rawUrl, code: error.code || null, error: error.message });
+      console.log(`⚠️ Could not follow redirect of ${rawUrl}, keeping the link as given (${error.message})`);
+      return rawUrl;
+    }));
+  }
+  return resolvedRedirects.get(rawUrl);
+}
+
+// Redirects that failed during this run
+function failedRedirects() {
+  return [...redirectFailures];
+}
+
+// Content-addressed article ID: the first 16 hex characters (64 bits) of the SHA-256
+// of the canonical URL. Titles are left out so a retitled item keeps its ID.
+function articleId(url) {
+  return crypto.createHash('sha256').update(canonicalizeUrl(url)).digest('hex').slice(0, 16);
+}
+
+export { canonicalizeUrl, resolveArticleUrl, failedRedirects, articleId };
@@ -0,0 +1,15 @@
+// Wall clock for the crawl. Recording and replaying freeze it at the recording's start time,
+// so date cutoffs, future-date fixes and crawledAt come out the same on every replay.
+
+let frozenAt = null;
+
+// Current time, or the frozen time during record/replay
+function currentTime() {
+  return frozenAt === null ? new Date() : new Date(frozenAt);
+}
+
+function freezeClock(isoString) {
+  frozenAt = new Date(isoString).getTime();
+}
+
+export { currentTime, freezeClock };
@@ -0,0 +1,240 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Default config file (another one can be given with --config <file> or the CONFIG_FILE env var)
+const CONFIG_PATH = path.join(__dirname, '../pipeline-config.json');
+
+// Every pipeline setting, by stage. A value comes from, lowest precedence first: the default,
+// the config file, the env vars (the first one set wins, later names are older spellings
+// still honoured) and a --<stage>.<setting> flag.
+const SETTINGS = {
+  'crawl.concurrency': { default: 8, type: 'integer', min: 1, env: ['CRAWL_CONCURRENCY'], description: 'Sources crawled at the same time' },
+  'crawl.confidenceThreshold': { default: 0.25, type: 'number', min: 0, max: 1, env: ['CRAWL_CONFIDENCE_THRESHOLD', 'CATEGORIZATION_CONFIDENCE_THRESHOLD'], description: 'Minimum AI confidence to keep an item, unless its source policy sets one' },
+  'crawl.model': { default: 'Xenova/distilbert-base-uncased-mnli', type: 'string', env: ['CRAWL_MODEL'], description: 'Zero-shot model of the relevance filter' },
+  // Every worker holds its own copy of the model and onnxruntime already spreads one inference
+  // over several threads, so the default is half the cores, at most 4
+  'crawl.workers': { default: () => Math.min(4, Math.max(1, Math.floor(os.cpus().length / 2))), type: 'integer', min: 0, env: ['AI_WORKERS'], description: 'Model worker threads, 0 runs the model on the main thread' },
+  'crawl.batchSize': { default: 16, type: 'integer', min: 1, env: ['AI_BATCH_SIZE'], description: 'Items scored in one forward pass' },
+  'crawl.batchWaitMs': { default: 25, type: 'integer', min: 0, env: ['AI_BATCH_WAIT_MS'], description: 'How long a partial batch waits for more items' },
+  'crawl.relevanceCacheDays': { default: 15, type: 'integer', min: 1, env: ['RELEVANCE_CACHE_DAYS'], description: 'Cached scores not used for this long are dropped' },
+  'crawl.fetchRetries': { default: 2, type: 'integer', min: 0, env: ['FETCH_RETRIES'], description: 'Retries of a failed request after the first attempt' },
+  'crawl.fetchBackoffMs': { default: 1000, type: 'integer', min: 0, env: ['FETCH_BACKOFF_MS'], description: 'Base of the exponential backoff between retries' },
+  'crawl.hostConcurrency': { default: 2, type: 'integer', min: 1, env: ['HOST_CONCURRENCY'], description: 'Requests to one host at the same time, unless the site has its own limit' },
+  'crawl.hostMinIntervalMs': { default: 250, type: 'integer', min: 0, env: ['HOST_MIN_INTERVAL_MS'], description: 'Time between the starts of two requests to one host' },
+  'crawl.robotsCacheHours': { default: 24, type: 'integer', min: 0, env: ['ROBOTS_CACHE_HOURS'], description: 'How long a fetched robots.txt is trusted' },
+  'crawl.quarantineFailures': { default: 5, type: 'integer', min: 1, env: ['SOURCE_QUARANTINE_FAILURES'], description: 'Failed runs in a row that quarantine a source' },
+  'crawl.quarantineRetryHours': { default: 24, type: 'number', min: 0, env: ['SOURCE_QUARANTINE_RETRY_HOURS'], description: 'How often a quarantined source is retried' },
+  'crawl.storySimilarityThreshold': { default: 0.4, type: 'number', min: 0, max: 1, env: ['STORY_SIMILARITY_THRESHOLD'], description: 'Minimum similarity of two articles covering the same story' },
+  'crawl.disableFetchCache': { default: false, type: 'boolean', env: ['DISABLE_FETCH_CACHE'], description: 'Download every feed in full and judge every item again' },
+  'crawl.contactUrl': { default: 'https://github.com/ai-news-daily/ai-news-daily.github.io', type: 'string', env: ['CRAWLER_CONTACT_URL'], description: 'Where site owners can learn about the crawler, named in the user-agent' },
+  'crawl.userAgent': { default: null, type: 'string', nullable: true, env: ['CRAWLER_USER_AGENT'], description: 'User-agent of every request, null for AINewsDailyBot/1.0 (+<contactUrl>)' },
+  'crawl.redditBaseUrl': { default: 'https://www.reddit.com', type: 'string', env: ['REDDIT_BASE_URL'], description: 'Where subreddit listings are fetched from' },
+  'crawl.hackerNewsApiUrl': { default: 'https://hn.algolia.com/api/v1', type: 'string', env: ['HN_API_BASE_URL'], description: 'Search API the Hacker News front page is read from' },
+  'crawl.githubBaseUrl': { default: 'https://github.com', type: 'string', env: ['GITHUB_BASE_URL'], description: 'Where releases feeds are fetched from' },
+  'crawl.reportHistory': { default: 60, type: 'integer', min: 1, env: ['CRAWL_REPORT_HISTORY'], description: 'Runs kept in the crawl report history' },
+  'extract.limit': { default: 250, type: 'integer', min: 1, env: ['CONTENT_EXTRACT_LIMIT'], description: 'Article pages fetched per run, newest first' },
+  'extract.concurrency': { default: 4, type: 'integer', min: 1, env: ['CONTENT_EXTRACT_CONCURRENCY'], description: 'Article pages fetched at the same time' },
+  'process.confidenceThreshold': { default: 0.25, type: 'number', min: 0, max: 1, env: ['PROCESS_CONFIDENCE_THRESHOLD'], description: 'Articles categorized below this confidence are rejected' },
+  // The rolling archive window also caps the sources' maxAgeDays, and bounds the content cache and the dated data files
+  'process.windowDays': { default: 15, type: 'integer', min: 1, env: ['ROLLING_WINDOW_DAYS'], description: 'Days of articles kept in latest-processed.json' },
+  'process.rejectedCacheDays': { default: 15, type: 'integer', min: 1, env: ['REJECTED_CACHE_CLEANUP_DAYS'], description: 'Days rejected articles are remembered' },
+  'process.limit': { default: null, type: 'integer', min: 1, nullable: true, env: ['PROCESSING_LIMIT'], description: 'New articles processed per run, null for all' },
+  'process.classifierModel': { default: 'Xenova/distilbert-base-uncased-mnli', type: 'string', env: ['PROCESS_CLASSIFIER_MODEL'], description: 'Zero-shot model for categories' },
+  'process.summarizerModel': { default: 'Xenova/distilbart-cnn-6-6', type: 'string', env: ['PROCESS_SUMMARIZER_MODEL'], description: 'Summarization model' },
+  'process.nerModel': { default: 'Xenova/bert-base-NER', type: 'string', env: ['PROCESS_NER_MODEL'], description: 'Named entity model' },
+  'build.highConfidence': { default: 0.8, type: 'number', min: 0, max: 1, env: ['BUILD_HIGH_CONFIDENCE'], description: 'Confidence marked as high on article cards' },
+  'build.articlesPerPage': { default: 20, type: 'integer', min: 1, env: ['BUILD_ARTICLES_PER_PAGE'], description: 'Articles shown before "Load More"' }
+};
+
+const STAGES = [...new Set(Object.keys(SETTINGS).map(key => key.split('.')[0]))];
+
+function defaultValue(setting) {
+  return typeof setting.default === 'function' ? setting.default() : setting.default;
+}
+
+// Default of every setting by stage, for modules used before or without loadConfig
+function defaultConfig() {
+  const config = Object.fromEntries(STAGES.map(stage => [stage, {}]));
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const [stage, name] = key.split('.');
+    config[stage][name] = defaultValue(setting);
+  }
+  return config;
+}
+
+// Check a value against its setting; returns an error message or null
+function checkValue(key, value) {
+  const setting = SETTINGS[key];
+  if (value === null) return setting.nullable ? null : 'must not be null';
+  if (setting.type === 'string') {
+    return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+  }
+  if (setting.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+  if (setting.type === 'integer' && !Number.isInteger(value)) return `must be a whole number, got ${value}`;
+  if (setting.min !== undefined && value < setting.min) return `must be at least ${setting.min}, got ${value}`;
+  if (setting.max !== undefined && value > setting.max) return `must be at most ${setting.max}, got ${value}`;
+  return null;
+}
+
+// Value of an env var or flag. Numbers must parse completely ("8x" is an error, not 8).
+function parseValue(key, text) {
+  const setting = SETTINGS[key];
+  if (setting.nullable && text === 'null') return null;
+  if (setting.type === 'string') return text;
+  if (setting.type === 'boolean') return text === 'true' ? true : text === 'false' ? false : text;
+  return /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(text) ? Number(text) : text;
+}
+
+// Split config flags from a script's own arguments: --config <file> and
+// --<stage>.<setting> <value> (or --<stage>.<setting>=<value>)
+function parseConfigArgs(args) {
+  const overrides = { file: null, flags: {} };
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    if (flag === '--config') {
+      overrides.file = inline ?? args[++i];
+      if (!overrides.file) throw new Error('--config needs a file');
+    } else if (/^--[a-z]+\.[a-zA-Z]+$/.test(flag)) {
+      const key = flag.slice(2);
+      if (!SETTINGS[key]) throw new Error(`Unknown setting: ${flag} (see npm run config)`);
+      const value = inline ?? args[++i];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+      overrides.flags[key] = value;
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { overrides, args: rest };
+}
+
+// Read the config file. The default file is optional, one asked for by name is not.
+async function readConfigFile(file) {
+  const filePath = path.resolve(file || process.env.CONFIG_FILE || CONFIG_PATH);
+  try {
+    return { filePath, values: JSON.parse(await fs.readFile(filePath, 'utf-8')) };
+  } catch (error) {
+    if (error.code === 'ENOENT' && !file && !process.env.CONFIG_FILE) return { filePath: null, values: {} };
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+}
+
+// Resolve every setting from its default, the config file, the env and the flags of
+// parseConfigArgs. Returns { crawl, extract, process, build } with the values, plus `origins`
+// (where each value came from) and `file`. Invalid settings are all reported, then refused.
+async function loadConfig(overrides = {}) {
+  const { filePath, values: fileValues } = await readConfigFile(overrides.file);
+  // Files in the repository are named relative to it, others by their full path
+  const relativePath = filePath && path.relative(path.join(__dirname, '..'), filePath);
+  const fileName = relativePath && relativePath.startsWith('..') ? filePath : relativePath;
+  const errors = [];
+
+  if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+    errors.push(`${fileName}: top level must be an object`);
+  } else {
+    for (const [stage, entries] of Object.entries(fileValues)) {
+      if (!STAGES.includes(stage)) {
+        errors.push(`${fileName}: unknown stage "${stage}" (expected one of: ${STAGES.join(', ')})`);
+      } else if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+        errors.push(`${fileName}: ${stage} must be an object`);
+      } else {
+        Object.keys(entries)
+          .filter(name => !SETTINGS[`${stage}.${name}`])
+          .forEach(name => errors.push(`${fileName}: unknown setting "${stage}.${name}"`));
+      }
+    }
+  }
+
+  const config = Object.fromEntries(STAGES.map(stage => [stage, {}]));
+  const origins = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const [stage, name] = key.split('.');
+    const envName = setting.env.find(variable => process.env[variable] !== undefined && process.env[variable] !== '');
+    const fromFile = fileValues?.[stage]?.[name];
+
+    let value;
+    let origin;
+    if (overrides.flags?.[key] !== undefined) {
+      value = parseValue(key, overrides.flags[key]);
+      origin = `flag --${key}`;
+    } else if (envName) {
+      value = parseValue(key, process.env[envName]);
+      origin = `env ${envName}`;
+    } else if (fromFile !== undefined) {
+      value = fromFile;
+      origin = fileName;
+    } else {
+      value = defaultValue(setting);
+      origin = 'default';
+    }
+
+    const error = checkValue(key, value);
+    if (error) errors.push(`${key} (${origin}): ${error}`);
+    config[stage][name] = value;
+    origins[key] = origin;
+  }
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`✗ config: ${error}`));
+    throw new Error(`Configuration is invalid (${errors.length} errors) - run npm run config`);
+  }
+  return { ...config, file: fileName, origins };
+}
+
+// Resolved settings of one stage, for the output files of its run. `overrides` names the
+// settings that came from the env or a flag rather than the config file or the defaults.
+function configSnapshot(config, stage) {
+  const keys = Object.keys(SETTINGS).filter(key => key.startsWith(`${stage}.`));
+  return {
+    file: config.file,
+    settings: config[stage],
+    overrides: Object.fromEntries(keys
+      .filter(key => /^(env|flag) /.test(config.origins[key]))
+      .map(key => [key, config.origins[key]]))
+  };
+}
+
+// Print every setting with its value and where it came from
+function printConfig(config) {
+  console.log(`⚙️ Pipeline configuration${config.file ? ` from ${config.file}` : ' (no config file, defaults)'}`);
+  for (const stage of STAGES) {
+    console.log(`\n${stage}`);
+    for (const [key, setting] of Object.entries(SETTINGS).filter(([key]) => key.startsWith(`${stage}.`))) {
+      const name = key.split('.')[1];
+      console.log(`   ${name.padEnd(24)} ${String(JSON.stringify(config[stage][name])).padEnd(40)} ${config.origins[key]}`);
+      console.log(`   ${''.padEnd(24)} ${setting.description} (${setting.env.join(', ')})`);
+    }
+  }
+}
+
+// Run if called directly: node scripts/config.js [--config <file>] [--<stage>.<setting> <value>]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(() => {
+      const { overrides, args } = parseConfigArgs(process.argv.slice(2));
+      if (args.length > 0) throw new Error(`Unknown option: ${args[0]}`);
+      return loadConfig(overrides);
+    })
+    .then(printConfig)
+    .catch(error => {
+      console.error('❌ Config check failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export {
+  CONFIG_PATH,
+  SETTINGS,
+  parseConfigArgs,
+  loadConfig,
+  defaultConfig,
+  configSnapshot
+};
@@ -0,0 +1,189 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPORT_PATH = path.join(__dirname, '../data/crawl-report.json');
+
+// Filter stages an item can be dropped at, in the order the crawler applies them.
+// dedup is counted after the crawl: cross-listed papers, Hacker News stories attached to
+// articles we have, Reddit posts already archived, and coverage merged into one story.
+const DROP_STAGES = ['seen', 'invalid', 'age', 'keyword', 'rules', 'aiRelevance', 'quality', 'dedup'];
+
+// Per-source statistics for one run, filled in by the crawler
+function createSourceReport(source) {
+  return {
+    name: source.name,
+    url: source.url,
+    category: source.category,
+    type: source.type || 'rss',
+    outcome: 'ok',
+    status: null,
+    error: null,
+    format: null,
+    fetchMs: null,
+    durationMs: null,
+    itemsSeen: 0,
+    dropped: Object.fromEntries(DROP_STAGES.map(stage => [stage, 0])),
+    passedFilters: 0,
+    kept: 0,
+    robotsSkipped: [] // { url, kind } of feeds, redirects and article pages robots.txt disallowed
+  };
+}
+
+// Report entry of a source that wasn't crawled because it is quarantined
+function quarantinedSourceReport(source) {
+  return { ...createSourceReport(source), outcome: 'quarantined' };
+}
+
+// Run-level totals of the per-source reports
+function summarizeRun(sources) {
+  const totals = {
+    sources: sources.length,
+    crawled: 0,
+    failed: 0,
+    notModified: 0,
+    robotsDisallowed: 0,
+    quarantined: 0,
+    itemsSeen: 0,
+    dropped: Object.fromEntries(DROP_STAGES.map(stage => [stage, 0])),
+    kept: 0,
+    robotsSkipped: 0
+  };
+  const outcomeTotals = { failed: 'failed', 'not-modified': 'notModified', 'robots-disallowed': 'robotsDisallowed', quarantined: 'quarantined' };
+
+  for (const source of sources) {
+    if (outcomeTotals[source.outcome]) totals[outcomeTotals[source.outcome]]++;
+    if (source.outcome !== 'quarantined') totals.crawled++;
+    totals.itemsSeen += source.itemsSeen;
+    totals.kept += source.kept;
+    totals.robotsSkipped += source.robotsSkipped.length;
+    DROP_STAGES.forEach(stage => { totals.dropped[stage] += source.dropped[stage]; });
+  }
+  return totals;
+}
+
+// Load the report, starting fresh if it is missing or unreadable
+async function loadCrawlReport() {
+  try {
+    const report = JSON.parse(await fs.readFile(REPORT_PATH, 'utf-8'));
+    return { ...report, history: Array.isArray(report.history) ? report.history : [] };
+  } catch (error) {
+    return { latest: null, history: [] };
+  }
+}
+
+async function writeCrawlReport(latest, history, historyRuns) {
+  const output = {
+    updatedAt: new Date().toISOString(),
+    historyRuns,
+    latest,
+    history: history.slice(-historyRuns)
+  };
+  await fs.mkdir(path.dirname(REPORT_PATH), { recursive: true });
+  await fs.writeFile(REPORT_PATH, JSON.stringify(output, null, 2));
+  return output;
+}
+
+// Save a run: the full per-source report as `latest`, and a compact entry per run in
+// `history` (oldest first, the last historyRuns runs, crawl.reportHistory) for charting source yield over time
+async function saveCrawlReport(run, historyRuns) {
+  const report = await loadCrawlReport();
+  const totals = summarizeRun(run.sources);
+
+  const historyEntry = {
+    crawledAt: run.crawledAt,
+    durationMs: run.durationMs,
+    aiItemsPerSecond: run.aiFilter?.itemsPerSecond ?? null,
+    totals,
+    sources: Object.fromEntries(run.sources.map(source => [source.url, {
+      name: source.name,
+      outcome: source.outcome,
+      itemsSeen: source.itemsSeen,
+      kept: source.kept,
+      robotsSkipped: source.robotsSkipped.length
+    }]))
+  };
+
+  return writeCrawlReport({ ...run, totals }, [...report.history, historyEntry], historyRuns);
+}
+
+// Add URLs robots.txt disallowed after the crawl (article pages of the extraction stage)
+// to their sources in the latest run and its history entry
+async function addRobotsSkips(skipped) {
+  const report = await loadCrawlReport();
+  if (!report.latest) return null;
+
+  const { latest, history } = report;
+  const lastRun = history.length > 0 && history[history.length - 1].crawledAt === latest.crawledAt ? history[history.length - 1] : null;
+  for (const { url, source, kind } of skipped) {
+    const entry = latest.sources.find(candidate => candidate.name === source);
+    if (!entry) continue;
+    entry.robotsSkipped = [...(entry.robotsSkipped || []), { url, kind }];
+    if (lastRun?.sources[entry.url]) lastRun.sources[entry.url].robotsSkipped = entry.robotsSkipped.length;
+  }
+  latest.totals = summarizeRun(latest.sources.map(source => ({ robotsSkipped: [], ...source })));
+  if (lastRun) lastRun.totals = latest.totals;
+
+  return writeCrawlReport(latest, history, report.historyRuns ?? history.length);
+}
+
+// Print the latest run, lowest-yield sources first, with their average yield over the history
+async function printCrawlReport() {
+  const report = await loadCrawlReport();
+  if (!report.latest) {
+    console.log('📋 No crawl report yet - run `npm run crawl` first');
+    return;
+  }
+
+  const { latest, history } = report;
+  const icons = { ok: '✅', 'not-modified': '↺', failed: '✗', 'robots-disallowed': '🤖', quarantined: '🚧' };
+  const averageKept = url => {
+    const runs = history.map(run => run.sources[url]).filter(entry => entry && entry.outcome === 'ok');
+    return runs.length ? runs.reduce((sum, entry) => sum + entry.kept, 0) / runs.length : 0;
+  };
+
+  console.log(`📈 Crawl report for ${latest.crawledAt} (${(latest.durationMs / 1000).toFixed(1)}s, ${history.length} runs of history)\n`);
+  const sources = [...latest.sources].sort((a, b) => a.kept - b.kept || averageKept(a.url) - averageKept(b.url) || a.name.localeCompare(b.name));
+  for (const source of sources) {
+    const dropped = DROP_STAGES
+      .filter(stage => source.dropped[stage] > 0)
+      .map(stage => `${stage} ${source.dropped[stage]}`);
+    const details = [
+      `${source.kept}/${source.itemsSeen} kept`,
+      `avg ${averageKept(source.url).toFixed(1)}`,
+      source.fetchMs !== null ? `${source.fetchMs}ms` : null,
+      dropped.length ? `dropped: ${dropped.join(', ')}` : null,
+      source.robotsSkipped?.length ? `robots.txt: ${source.robotsSkipped.length} skipped` : null
+    ].filter(Boolean);
+    console.log(`${icons[source.outcome] || '•'} ${source.name} - ${details.join(', ')}`);
+    if (source.error) console.log(`    ↳ ${source.error}`);
+    (source.robotsSkipped || []).forEach(({ url, kind }) => console.log(`    🤖 ${kind}: ${url}`));
+  }
+
+  const { totals, aiFilter } = latest;
+  if (aiFilter && aiFilter.scored + aiFilter.cacheHits > 0) {
+    console.log(`\n🧠 AI filter: ${aiFilter.scored} items scored (${aiFilter.itemsPerSecond ?? '-'} items/s, ${aiFilter.workers ? `${aiFilter.workers} model workers` : 'main thread'}, batches of ${aiFilter.batchSize}), ${aiFilter.cacheHits} cache hits`);
+  }
+  console.log(`\n📊 ${totals.crawled} sources crawled (${totals.failed} failed, ${totals.notModified} not modified, ${totals.quarantined} quarantined): ${totals.itemsSeen} items seen → ${totals.kept} kept`);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  printCrawlReport().catch(error => {
+    console.error('❌ Crawl report failed:', error);
+    process.exit(1);
+  });
+}
+
+export {
+  DROP_STAGES,
+  createSourceReport,
+  quarantinedSourceReport,
+  summarizeRun,
+  loadCrawlReport,
+  saveCrawlReport,
+  addRobotsSkips
+};
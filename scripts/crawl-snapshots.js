@@ -0,0 +1,137 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Record/replay of every HTTP response a crawl sees (feeds, robots.txt, redirect lookups).
+// A snapshot directory holds manifest.json, archive.json and one file per response:
+//
+//   manifest.json        - recordedAt (the frozen "now"), the crawled sources, an index of responses
+//   archive.json         - the archived stories the crawl clustered against
+//   responses/<key>.json - { method, url, status, headers, finalUrl, body } or { method, url, error }
+
+let mode = null;
+let snapshotDir = null;
+const recorded = [];
+
+function responsePath(method, url) {
+  const key = crypto.createHash('sha256').update(`${method.toUpperCase()} ${url}`).digest('hex').slice(0, 16);
+  return path.join(snapshotDir, 'responses', `${key}.json`);
+}
+
+// Start a recording in dir, replacing responses from an earlier recording there
+async function startRecording(dir) {
+  mode = 'record';
+  snapshotDir = path.resolve(dir);
+  await fs.rm(path.join(snapshotDir, 'responses'), { recursive: true, force: true });
+  await fs.mkdir(path.join(snapshotDir, 'responses'), { recursive: true });
+}
+
+// Switch the HTTP layer to answering from dir; returns the recording's manifest
+async function startReplay(dir) {
+  snapshotDir = path.resolve(dir);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(snapshotDir, 'manifest.json'), 'utf-8'));
+  } catch (error) {
+    throw new Error(`No crawl recording in ${dir} (${error.message})`);
+  }
+  mode = 'replay';
+  return manifest;
+}
+
+function isRecording() {
+  return mode === 'record';
+}
+
+function isReplaying() {
+  return mode === 'replay';
+}
+
+// Save the final outcome of a request (after retries): a response, or the error it ended with
+async function recordResponse(config, response, error = null) {
+  if (!isRecording()) return;
+
+  const method = (config.method || 'get').toUpperCase();
+  const entry = { method, url: config.url };
+  const failed = error && !error.response;
+  if (failed) {
+    entry.error = { code: error.code || null, message: error.message };
+  } else {
+    const source = response || error.response;
+    entry.status = source.status;
+    entry.headers = JSON.parse(JSON.stringify(source.headers || {}));
+    entry.finalUrl = source.request?.res?.responseUrl || config.url;
+    entry.body = typeof source.data === 'string' ? source.data : '';
+  }
+
+  await fs.writeFile(responsePath(method, config.url), JSON.stringify(entry, null, 2));
+  recorded.push({ file: path.basename(responsePath(method, config.url)), method, url: config.url, status: entry.status ?? null });
+}
+
+// Answer a request from the recording, shaped like the axios response or error it stood for
+async function replayResponse(config) {
+  const method = (config.method || 'get').toUpperCase();
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(responsePath(method, config.url), 'utf-8'));
+  } catch (error) {
+    const missing = new Error(`No recorded response for ${method} ${config.url}`);
+    missing.code = 'SNAPSHOT_MISSING';
+    throw missing;
+  }
+
+  if (entry.error) {
+    const error = new Error(entry.error.message);
+    error.code = entry.error.code;
+    throw error;
+  }
+
+  const response = {
+    status: entry.status,
+    headers: entry.headers,
+    data: entry.body,
+    request: { res: { responseUrl: entry.finalUrl } }
+  };
+  const accepts = config.validateStatus || (status => (status >= 200 && status < 300) || status === 304);
+  if (!accepts(entry.status)) {
+    const error = new Error(`Request failed with status code ${entry.status}`);
+    error.response = response;
+    throw error;
+  }
+  return response;
+}
+
+// Finish a recording: the manifest makes the directory replayable
+async function saveRecording({ recordedAt, sources, archivedStories }) {
+  await fs.writeFile(path.join(snapshotDir, 'archive.json'), JSON.stringify({ articles: archivedStories }, null, 2));
+  const manifest = {
+    recordedAt,
+    totalSources: sources.length,
+    totalResponses: recorded.length,
+    sources,
+    responses: [...recorded].sort((a, b) => a.url.localeCompare(b.url) || a.method.localeCompare(b.method))
+  };
+  await fs.writeFile(path.join(snapshotDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// Archived stories stored with the recording
+async function loadRecordedArchive() {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(snapshotDir, 'archive.json'), 'utf-8'));
+    return data.articles || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export {
+  startRecording,
+  startReplay,
+  isRecording,
+  isReplaying,
+  recordResponse,
+  replayResponse,
+  saveRecording,
+  loadRecordedArchive
+};
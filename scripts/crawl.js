@@ -1,127 +1,35 @@
-import Parser from 'rss-parser';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { pipeline, env } from '@xenova/transformers';
+import { configureHttp, fetchText } from './http.js';
+import { runWithConcurrency } from './scheduler.js';
+import { saveRobotsCache, useEphemeralRobotsCache } from './robots.js';
+import { startRecording, startReplay, saveRecording, loadRecordedArchive } from './crawl-snapshots.js';
+import { currentTime, freezeClock } from './clock.js';
+import { loadFetchCache, saveFetchCache, getItemGuid, getConditionalHeaders, updateCacheEntry, markItemsSeen } from './fetch-cache.js';
+import { loadSourceHealth, saveSourceHealth, shouldCrawlSource, recordSourceSuccess, recordSourceFailure } from './source-health.js';
+import { createSourceReport, quarantinedSourceReport, summarizeRun, saveCrawlReport } from './crawl-report.js';
+import { checkPolicyKeywords, checkRedditRules, checkHackerNewsRules } from './source-policy.js';
+import { loadSources } from './sources-config.js';
+import { loadRelevanceRules, evaluateRelevance } from './relevance-rules.js';
+import { initializeAIFilter, closeAIFilter, isAIRelevantAI, loadRelevanceCache, saveRelevanceCache, aiFilterStats } from './ai-filter.js';
+import { parseFeed, htmlToText } from './feed-formats.js';
+import { parseHtmlListPage } from './adapters/html.js';
+import { redditListingUrl, parseRedditListing, attachRedditStats } from './adapters/reddit.js';
+import { parseArxivListing, dedupePapers } from './adapters/arxiv.js';
+import { parseYoutubeFeed } from './adapters/youtube.js';
+import { releasesFeedUrl, parseGithubReleases } from './adapters/github-releases.js';
+import { hackerNewsListingUrl, parseHackerNewsListing, attachHackerNewsStats } from './adapters/hackernews.js';
+import { clusterStories, loadArchivedStories } from './story-clusters.js';
+import { resolveArticleUrl, failedRedirects, articleId } from './canonical-url.js';
+import { parseConfigArgs, loadConfig, configSnapshot } from './config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configure transformers
-env.allowRemoteFiles = true;
-env.allowLocalFiles = true;
-env.cacheDir = path.join(__dirname, '../.cache');
-
-const parser = new Parser({
-  timeout: 10000,
-  maxRedirects: 3
-});
-
-let aiClassifier = null;
-
-// Initialize AI classifier for intelligent filtering
-async function initializeAIFilter() {
-  try {
-    console.log('🧠 Loading AI classifier for intelligent filtering...');
-    aiClassifier = await pipeline('zero-shot-classification', 'Xenova/distilbert-base-uncased-mnli', {
-      cache_dir: env.cacheDir,
-      quantized: true
-    });
-    console.log('✅ AI classifier ready for content filtering');
-    return true;
-  } catch (error) {
-    console.log('⚠️ AI classifier failed to load, falling back to keyword filtering:', error.message);
-    return false;
-  }
-}
-
-// AI-powered content relevance and quality check
-async function isAIRelevantAI(title, description = '') {
-  if (!aiClassifier) return null;
-  
-  try {
-    const text = `${title} ${description}`.substring(0, 500); // Limit for performance
-    
-    // STAGE 1: Binary AI Relevance Check (more focused, less confusing categories)
-    const binaryCategories = [
-      'AI and machine learning related content',
-      'Non-AI technical content', 
-      'General news and entertainment'
-    ];
-    
-    const binaryResult = await aiClassifier(text, binaryCategories);
-    const isAIRelated = binaryResult.scores[0] > Math.max(binaryResult.scores[1], binaryResult.scores[2]);
-    const aiConfidence = binaryResult.scores[0];
-    
-    // STAGE 2: If AI-related, get specific AI category for better insights
-    let specificCategory = 'artificial intelligence and machine learning';
-    let specificConfidence = aiConfidence;
-    
-    if (isAIRelated) {
-      const aiSpecificCategories = [
-        'LLM and language models',
-        'Computer vision and image AI',
-        'AI tools and developer platforms',
-        'AI research and papers',
-        'AI business and industry news'
-      ];
-      
-      const specificResult = await aiClassifier(text, aiSpecificCategories);
-      specificCategory = specificResult.labels[0];
-      specificConfidence = Math.max(specificConfidence, specificResult.scores[0]);
-    }
-    
-    // Apply CATEGORIZATION_CONFIDENCE_THRESHOLD for quality filtering (default 25%)
-    const confidenceThreshold = parseFloat(process.env.CATEGORIZATION_CONFIDENCE_THRESHOLD || '0.25');
-    const meetsQualityThreshold = aiConfidence >= confidenceThreshold;
-    
-    // Debug logging for better understanding
-    if (isAIRelated && !meetsQualityThreshold) {
-      console.log(`🚫 Quality filtered: "${title.substring(0, 50)}..." (AI confidence: ${(aiConfidence * 100).toFixed(1)}% < ${(confidenceThreshold * 100).toFixed(0)}%)`);
-    } else if (!isAIRelated && aiConfidence > 0.2) {
-      console.log(`❌ AI filtered out: "${title}" (AI confidence: ${aiConfidence.toFixed(2)}, determined as: ${binaryResult.labels[0]})`);
-    }
-    
-    return {
-      isRelevant: isAIRelated,
-      confidence: aiConfidence,
-      topCategory: specificCategory,
-      aiScore: aiConfidence,
-      nonAiScore: binaryResult.scores[1] + binaryResult.scores[2],
-      meetsQualityThreshold
-    };
-  } catch (error) {
-    console.log('AI classification error:', error.message);
-    return null;
-  }
-}
-
-// Load sources
-async function loadSources() {
-  const sourcesPath = path.join(__dirname, '../sources.json');
-  const sourcesData = await fs.readFile(sourcesPath, 'utf-8');
-  const { 
-    sources, 
-    medium_blogs,
-    reddit_sources, 
-    youtube_channels, 
-    newsletters, 
-    developer_blogs,
-    academic_sources,
-    getting_started
-  } = JSON.parse(sourcesData);
-  
-  return [
-    ...sources,
-    ...(medium_blogs || []),
-    ...(reddit_sources || []),
-    ...(youtube_channels || []),
-    ...(newsletters || []),
-    ...(developer_blogs || []),
-    ...(academic_sources || []),
-    ...(getting_started || [])
-  ];
-}
+// Source types ranked by votes that keep changing after an item is first listed. Their items
+// are never marked seen: one below minScore may climb later, and kept ones get fresh stats.
+const ENGAGEMENT_RANKED_TYPES = ['reddit', 'hackernews'];
 
 // Extract domain from URL
 function extractDomain(url) {
@@ -141,152 +49,193 @@ function cleanTitle(title) {
     .trim();
 }
 
-// Check if content is AI-related
-function isAIRelated(item) {
-  const text = `${item.title || ''} ${item.description || ''} ${item.content || ''}`.toLowerCase();
+// Articles of the previous crawl the processor hasn't got to yet (process.limit caps a run), so
+// they stay in latest-raw.json although their items are marked seen or their feed answers 304.
+// Articles that left the rolling window are let go.
+async function loadPendingArticles(dataDir, archivedArticles, windowDays) {
+  const readArticles = async file => {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf-8')).articles || [];
+    } catch (error) {
+      return [];
+    }
+  };
+  const previous = await readArticles('latest-raw.json');
+  const doneIds = new Set([...archivedArticles, ...await readArticles('rejected-articles.json')].map(article => article.id));
+  const cutoffDate = new Date(currentTime().getTime() - windowDays * 24 * 60 * 60 * 1000);
+  return previous.filter(article => !doneIds.has(article.id) && new Date(article.pubDate) >= cutoffDate);
+}
+
+// Main crawl function. options.record saves every response to a snapshot directory;
+// options.replay crawls from one instead of the network, with the recording's clock.
+// options.config is the pipeline config, loaded from the config file and env when not given.
+async function crawlAllSources(options = {}) {
+  const { record = null, replay = null } = options;
+  console.log('🤖 Starting AI news crawl...');
+  const config = options.config || await loadConfig();
+  configureHttp(config.crawl);
   
-  // Exclude obviously non-AI mathematics/science content
-  const excludeKeywords = [
-    'fields medal', 'nobel prize', 'pure mathematics', 'number theory',
-    'quantum physics', 'astrophysics', 'cosmology', 'particle physics',
-    'climate change', 'global warming', 'biology', 'chemistry',
-    'sports', 'football', 'basketball', 'soccer', 'tennis'
-  ];
+  // A replay crawls exactly the sources of its recording, health state is not consulted
+  let allSources;
+  let recording = null;
+  if (replay) {
+    recording = await startReplay(replay);
+    freezeClock(recording.recordedAt);
+    allSources = recording.sources;
+    console.log(`⏪ Replaying crawl recorded at ${recording.recordedAt} from ${replay} (${recording.totalResponses} responses)`);
+  } else {
+    // Validate sources.json before spending time on model loading
+    allSources = await loadSources(config.process.windowDays);
+  }
   
-  const hasExcludeKeyword = excludeKeywords.some(keyword => text.includes(keyword));
-  if (hasExcludeKeyword) {
-    return false;
+  // Keyword rules for when the classifier is unavailable, also validated up front
+  const relevanceRules = await loadRelevanceRules();
+  if (record) {
+    await startRecording(record);
+    freezeClock(new Date().toISOString());
+    console.log(`⏺️ Recording responses to ${record}`);
   }
+  if (record || replay) useEphemeralRobotsCache();
   
-  // AI-related keywords
-  const aiKeywords = [
-    'artificial intelligence', 'ai', 'machine learning', 'ml', 'deep learning',
-    'neural network', 'transformer', 'gpt', 'llm', 'large language model',
-    'chatbot', 'automation', 'algorithm', 'data science', 'computer vision',
-    'natural language processing', 'nlp', 'robotics', 'autonomous',
-    'generative', 'diffusion', 'stable diffusion', 'midjourney', 'dall-e',
-    'openai', 'anthropic', 'claude', 'gemini', 'llama', 'mistral',
-    'agent', 'agentic', 'rag', 'fine-tuning', 'prompt engineering',
-    'embeddings', 'vector', 'classification', 'regression', 'clustering',
-    'reinforcement learning', 'supervised learning', 'unsupervised learning'
-  ];
+  // Initialize AI classifier for intelligent filtering. Scores of items seen in earlier runs
+  // come from the relevance cache; a replay starts from an empty one and doesn't save it.
+  const aiFilterReady = await initializeAIFilter(config.crawl);
+  if (aiFilterReady && !replay) {
+    console.log(`🗃️ Relevance cache: ${await loadRelevanceCache()} scored items`);
+  }
   
-  return aiKeywords.some(keyword => text.includes(keyword));
-}
-
-// Filter AI-relevant content
-function isAIRelevant(title, source) {
-  const aiKeywords = [
-    // Core AI terms
-    'ai', 'artificial intelligence', 'machine learning', 'ml', 'deep learning',
-    'neural network', 'neural net', 'deep neural', 'artificial neural',
-    
-    // LLMs and models
-    'llm', 'large language model', 'language model', 'foundation model',
-    'gpt', 'claude', 'gemini', 'llama', 'alpaca', 'vicuna', 'falcon',
-    'transformer', 'bert', 'roberta', 't5', 'bart', 'electra',
-    
-    // Companies and products
-    'openai', 'anthropic', 'google ai', 'deepmind', 'meta ai',
-    'hugging face', 'langchain', 'pinecone', 'weaviate', 'chroma',
-    'chatgpt', 'copilot', 'github copilot', 'cursor ai', 'replit ai',
-    'dall-e', 'midjourney', 'stable diffusion', 'runway', 'pika',
-    
-    // Techniques and concepts
-    'fine-tuning', 'fine tuning', 'prompt', 'prompting', 'prompt engineering',
-    'rag', 'retrieval augmented', 'embeddings', 'vector database',
-    'attention', 'self-attention', 'multi-head attention',
-    'backpropagation', 'gradient descent', 'optimization',
-    'reinforcement learning', 'rl', 'rlhf', 'constitutional ai',
-    
-    // Applications
-    'computer vision', 'cv', 'image recognition', 'object detection',
-    'nlp', 'natural language processing', 'natural language',
-    'speech recognition', 'text-to-speech', 'voice synthesis',
-    'generative', 'generation', 'synthesis', 'diffusion',
-    'chatbot', 'agent', 'autonomous', 'automation', 'robotics',
-    
-    // Technical terms
-    'pytorch', 'tensorflow', 'keras', 'transformers',
-    'dataset', 'training', 'inference', 'model', 'algorithm',
-    'benchmark', 'evaluation', 'metrics', 'loss function',
-    'overfitting', 'regularization', 'dropout', 'batch norm'
-  ];
+  // Skip quarantined sources until their slower retry schedule comes around
+  const sourceHealth = replay ? null : await loadSourceHealth(config.crawl);
+  const sources = replay ? allSources : allSources.filter(source => shouldCrawlSource(sourceHealth, source));
+  const quarantinedCount = allSources.length - sources.length;
+  console.log(`Found ${sources.length} sources to crawl${quarantinedCount > 0 ? ` (${quarantinedCount} quarantined, see npm run sources:health)` : ''}`);
   
-  // Always include content from AI-specific sources
-  const aiSources = [
-    'openai', 'anthropic', 'huggingface', 'hugging face', 'langchain', 
-    'deepmind', 'google ai', 'meta ai', 'nvidia', 'cohere',
-    'replicate', 'gradio', 'wandb', 'weights & biases'
-  ];
+  // Conditional fetching: skip unchanged feeds and already-seen items (crawl.disableFetchCache forces a full crawl).
+  // Recordings need full responses and replays must not depend on the local cache, so both crawl everything.
+  const fetchCache = replay ? null : await loadFetchCache();
+  const useFetchCache = !config.crawl.disableFetchCache && !record && !replay;
+  console.log(`🗃️ Fetch cache: ${useFetchCache ? `${Object.keys(fetchCache.sources).length} sources cached` : 'DISABLED (full crawl)'}`);
   
-  if (aiSources.some(s => source.toLowerCase().includes(s))) {
-    return true;
+  // Crawl sources through a worker pool; per-host limits and retries live in http.js,
+  // so a slow or rate-limited host only holds up its own sources
+  const allArticles = [];
+  const crawlStats = { totalProcessed: 0, qualityFiltered: 0, aiFiltered: 0, notModified: 0, seenSkipped: 0, robotsSkipped: [] };
+  const crawlStartedAt = Date.now();
+  
+  const results = await runWithConcurrency(sources, config.crawl.concurrency, source =>
+    crawlFeed(source, aiFilterReady, crawlStats, { fetchCache, useFetchCache, sourceHealth, relevanceRules, settings: config.crawl })
+  );
+  for (const result of results) {
+    if (result.articles) {
+      allArticles.push(...result.articles);
+    }
   }
+  console.log(`⏱️ Crawled ${sources.length} sources in ${((Date.now() - crawlStartedAt) / 1000).toFixed(1)}s (${config.crawl.concurrency} at a time)`);
   
-  const titleLower = title.toLowerCase();
-  return aiKeywords.some(keyword => titleLower.includes(keyword));
-}
-
-// Main crawl function
-async function crawlAllSources() {
-  console.log('🤖 Starting AI news crawl...');
+  await closeAIFilter();
+  const aiFilter = aiFilterStats();
+  if (aiFilterReady) {
+    console.log(`🧠 AI filter: ${aiFilter.scored} items scored in ${aiFilter.batches} batches (${aiFilter.itemsPerSecond ?? '-'} items/s, ${aiFilter.workers ? `${aiFilter.workers} model workers` : 'main thread'}), ${aiFilter.cacheHits} from the relevance cache`);
+  }
   
-  // Initialize AI classifier for intelligent filtering
-  const aiFilterReady = await initializeAIFilter();
+  // One article per arXiv paper, however many subject listings it was announced in
+  const { articles: crawledArticles, duplicates: paperDuplicates } = dedupePapers(allArticles);
+  if (paperDuplicates > 0) {
+    console.log(`📄 ${paperDuplicates} cross-listed arXiv papers merged by arXiv ID`);
+  }
   
-  const sources = await loadSources();
-  console.log(`Found ${sources.length} sources to crawl`);
+  // Hacker News stories we already have only add their points and comments to that article
+  const archivedArticles = replay ? await loadRecordedArchive() : await loadArchivedStories();
+  const { articles: linkedArticles, attachments: hackerNewsStats } = attachHackerNewsStats(crawledArticles, archivedArticles);
+  if (crawledArticles.length > linkedArticles.length) {
+    console.log(`🟧 ${crawledArticles.length - linkedArticles.length} Hacker News stories attached to articles we already have (${hackerNewsStats.length} archived)`);
+  }
   
-  // Crawl all sources in parallel (but with some delay to be nice)
-  const allArticles = [];
-  const crawlStats = { totalProcessed: 0, qualityFiltered: 0, aiFiltered: 0 };
-  const batchSize = 5; // Process 5 sources at a time
+  // Reddit posts we already have only refresh the score, comments and flair of that article
+  const { articles: storyArticles, attachments: redditStats } = attachRedditStats(linkedArticles, archivedArticles);
+  if (redditStats.length > 0) {
+    console.log(`🔺 ${redditStats.length} Reddit posts already archived, their scores go to the archived articles`);
+  }
   
-  for (let i = 0; i < sources.length; i += batchSize) {
-    const batch = sources.slice(i, i + batchSize);
-    const promises = batch.map(source => crawlFeed(source, aiFilterReady, crawlStats));
-    const results = await Promise.all(promises);
-    
-    for (const result of results) {
-      if (result.articles) {
-        allArticles.push(...result.articles);
-      }
-    }
-    
-    // Small delay between batches
-    if (i + batchSize < sources.length) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+  // Unprocessed articles of the previous crawl go through clustering again with the new ones.
+  // A recording run is a normal crawl and keeps them; a replay only holds what was recorded.
+  const dataDir = path.join(__dirname, '../data');
+  const crawledIds = new Set(storyArticles.map(article => article.id));
+  const pendingArticles = replay ? [] : (await loadPendingArticles(dataDir, archivedArticles, config.process.windowDays))
+    .filter(article => !crawledIds.has(article.id));
+  if (pendingArticles.length > 0) {
+    console.log(`📥 ${pendingArticles.length} articles of the previous crawl are still waiting for processing`);
   }
   
-  // Remove duplicates
-  const uniqueArticles = removeDuplicates(allArticles);
+  // Group coverage of the same story across sources, including stories already in the archive
+  const { articles: uniqueArticles, coverage: storyCoverage } = clusterStories([...storyArticles, ...pendingArticles], archivedArticles, config.crawl.storySimilarityThreshold);
   
   // Sort by publication date (newest first)
   uniqueArticles.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
   
-  console.log(`📰 Found ${uniqueArticles.length} unique AI articles`);
+  // What each source still contributes after deduplication, for the crawl report
+  const keptKeys = new Set(uniqueArticles.map(article => `${article.source}\n${article.id}`));
+  for (const { articles, report } of results) {
+    report.kept = articles.filter(article => keptKeys.has(`${article.source}\n${article.id}`)).length;
+    report.dropped.dedup = report.passedFilters - report.kept;
+  }
+  const sourceReports = [
+    ...results.map(({ report }) => report),
+    ...allSources.filter(source => !sources.includes(source)).map(quarantinedSourceReport)
+  ];
+  const runTotals = summarizeRun(sourceReports);
+  
+  console.log(`📰 Found ${uniqueArticles.length} unique AI stories from ${allArticles.length} articles`);
+  if (storyCoverage.length > 0) {
+    console.log(`🔗 ${storyCoverage.length} articles cover stories already in the archive`);
+  }
   console.log(`🧠 AI filtering: ${aiFilterReady ? 'ENABLED' : 'Fallback to keywords'}`);
   if (aiFilterReady && crawlStats.qualityFiltered > 0) {
-    const threshold = parseFloat(process.env.CRAWL_CONFIDENCE_THRESHOLD || '0.30');
-    console.log(`🚫 Quality filtered during crawl: ${crawlStats.qualityFiltered} articles (< ${(threshold * 100).toFixed(0)}% confidence)`);
+    console.log(`🚫 Quality filtered during crawl: ${crawlStats.qualityFiltered} articles (< ${(config.crawl.confidenceThreshold * 100).toFixed(0)}% confidence unless the source policy sets its own)`);
   }
   if (aiFilterReady && crawlStats.aiFiltered > 0) {
     console.log(`❌ AI relevance filtered: ${crawlStats.aiFiltered} articles`);
   }
+  if (crawlStats.notModified > 0 || crawlStats.seenSkipped > 0) {
+    console.log(`↺ Fetch cache: ${crawlStats.notModified} feeds not modified, ${crawlStats.seenSkipped} already-seen items skipped`);
+  }
+  // Redirect lookups robots.txt refused are reported with the skipped feeds
+  const redirectFailures = failedRedirects();
+  const disallowedRedirects = new Set(redirectFailures.filter(failure => failure.code === 'ROBOTS_DISALLOWED').map(failure => failure.url));
+  for (const article of allArticles) {
+    if (disallowedRedirects.has(article.sourceUrl)) {
+      crawlStats.robotsSkipped.push({ url: article.sourceUrl, source: article.source, kind: 'redirect' });
+    }
+  }
+  for (const report of sourceReports) {
+    report.robotsSkipped = crawlStats.robotsSkipped
+      .filter(skipped => skipped.source === report.name)
+      .map(({ url, kind }) => ({ url, kind }));
+  }
+  if (crawlStats.robotsSkipped.length > 0) {
+    console.log(`🤖 robots.txt: ${crawlStats.robotsSkipped.length} disallowed URLs skipped`);
+  }
+  if (redirectFailures.length > 0) {
+    console.log(`⚠️ ${redirectFailures.length} redirects could not be followed, their articles are identified by the link as published`);
+  }
   console.log(`📊 Crawl stats: ${crawlStats.totalProcessed} processed → ${uniqueArticles.length} kept`);
+  console.log(`📉 Dropped: ${Object.entries(runTotals.dropped).filter(([, count]) => count > 0).map(([stage, count]) => `${stage} ${count}`).join(', ') || 'nothing'}`);
   
   // Ensure data directory exists
-  const dataDir = path.join(__dirname, '../data');
   await fs.mkdir(dataDir, { recursive: true });
   
   // Save raw crawled data
   const output = {
-    crawledAt: new Date().toISOString(),
+    crawledAt: currentTime().toISOString(),
     totalSources: sources.length,
     totalArticles: uniqueArticles.length,
     aiFilterUsed: aiFilterReady,
+    sourcePolicies: Object.fromEntries(sources.map(source => [source.name, source.policy])),
+    config: { crawl: configSnapshot(config, 'crawl') },
+    storyCoverage,
+    hackerNewsStats,
+    redditStats,
+    robotsSkipped: crawlStats.robotsSkipped,
     articles: uniqueArticles
   };
   
@@ -295,137 +244,288 @@ async function crawlAllSources() {
   await fs.writeFile(filepath, JSON.stringify(output, null, 2));
   console.log(`💾 Saved raw data to: latest-raw.json`);
   
+  if (record) {
+    // Only the fields clustering reads, the archive itself can be large
+    const archivedStories = archivedArticles.map(article => ({
+      id: article.id,
+      storyId: article.storyId,
+      title: article.title,
+      url: article.url,
+      source: article.source,
+      source_priority: article.source_priority,
+      pubDate: article.pubDate,
+      metaDescription: article.metaDescription
+    }));
+    const manifest = await saveRecording({ recordedAt: currentTime().toISOString(), sources, archivedStories });
+    console.log(`⏺️ Recorded ${manifest.totalResponses} responses to: ${record}`);
+  }
+  
+  // A replay leaves the crawl state of the live pipeline alone
+  if (replay) return uniqueArticles;
+  
+  // Items are only seen once they are in latest-raw.json: as articles, as coverage of
+  // another article's story, or as coverage of an archived story
+  const savedUrls = new Set([
+    ...uniqueArticles.flatMap(article => [article, ...(article.alsoCoveredBy || [])]),
+    ...storyCoverage
+  ].map(article => `${article.source}\n${article.url}`));
+  results.forEach(({ seen = [], report }, index) => {
+    const guids = seen.filter(({ url }) => savedUrls.has(`${report.name}\n${url}`)).map(({ guid }) => guid);
+    markItemsSeen(fetchCache, sources[index], guids);
+  });
+  await saveFetchCache(fetchCache);
+  console.log(`💾 Saved fetch cache to: fetch-cache.json`);
+  
+  await saveSourceHealth(sourceHealth);
+  console.log(`💾 Saved source health to: source-health.json`);
+  
+  if (aiFilterReady) {
+    await saveRelevanceCache();
+    console.log(`💾 Saved relevance cache to: relevance-cache.json`);
+  }
+  
+  await saveCrawlReport({
+    crawledAt: output.crawledAt,
+    durationMs: Date.now() - crawlStartedAt,
+    aiFilterUsed: aiFilterReady,
+    aiFilter,
+    concurrency: config.crawl.concurrency,
+    sources: sourceReports
+  }, config.crawl.reportHistory);
+  console.log(`💾 Saved crawl report to: crawl-report.json`);
+  
+  if (await saveRobotsCache()) {
+    console.log(`💾 Saved robots.txt cache to: robots-cache.json`);
+  }
+  
   return uniqueArticles;
 }
 
+// URL actually fetched for a source: reddit sources read the subreddit's JSON listing,
+// github-releases sources their repository's releases feed, hackernews the front page API,
+// each from the base URL of the crawl settings
+function sourceFetchUrl(source, settings) {
+  if (source.type === 'reddit') return redditListingUrl(source, settings.redditBaseUrl);
+  if (source.type === 'github-releases') return releasesFeedUrl(source, settings.githubBaseUrl);
+  if (source.type === 'hackernews') return hackerNewsListingUrl(source, settings.hackerNewsApiUrl);
+  return source.url;
+}
+
+// Turn a fetched response into normalized items: html sources use their selectors, reddit
+// and hackernews sources their listing, arxiv, youtube and github-releases sources add paper, video or
+// release metadata to the parsed feed, everything else is routed to the parser for the
+// detected feed format
+async function parseSource(source, response) {
+  if (source.type === 'html') {
+    return parseHtmlListPage(response.body, source);
+  }
+  if (source.type === 'reddit') {
+    return parseRedditListing(response.body, source);
+  }
+  if (source.type === 'hackernews') {
+    return parseHackerNewsListing(response.body, source);
+  }
+  if (source.type === 'arxiv') {
+    return parseArxivListing(response.body, source, response.headers.contentType);
+  }
+  if (source.type === 'youtube') {
+    return parseYoutubeFeed(response.body, response.headers.contentType);
+  }
+  if (source.type === 'github-releases') {
+    return parseGithubReleases(response.body, source, response.headers.contentType);
+  }
+  return parseFeed(response.body, response.headers.contentType);
+}
+
+// AI-powered filtering (preferred) or fallback to keywords. Returns { isRelevant, lowQuality, fallback },
+// lowQuality marking AI content below the source's confidence threshold and fallback a keyword
+// judgement made only because the model was unavailable.
+async function judgeRelevance(source, item, title, description, { useAIFilter, relevanceRules, confidenceThreshold, stats }) {
+  const { policy } = source;
+  let isRelevant = false;
+  let lowQuality = false;
+  let fallback = false;
+  
+  if (policy.skipAIFilter || item.release) {
+    // Trusted source: its policy opts out of relevance filtering, and releases of a
+    // followed repository are relevant by definition
+    isRelevant = true;
+  } else if (useAIFilter) {
+    // Use AI classifier for intelligent filtering
+    const aiResult = await isAIRelevantAI(title, description);
+    
+    if (aiResult) {
+      // Apply crawl.confidenceThreshold for quality filtering, unless the source policy sets its own
+      const threshold = policy.minConfidence ?? confidenceThreshold;
+      const meetsQualityThreshold = aiResult.confidence >= threshold;
+      isRelevant = aiResult.isRelevant && meetsQualityThreshold;
+      lowQuality = aiResult.isRelevant && !meetsQualityThreshold;
+      
+      // Log AI decisions for debugging and track stats
+      if (lowQuality) {
+        console.log(`🚫 Quality filtered: "${title.substring(0, 50)}..." (confidence: ${(aiResult.confidence * 100).toFixed(1)}% < ${(threshold * 100).toFixed(0)}%)`);
+        if (stats) stats.qualityFiltered++;
+      } else if (!aiResult.isRelevant && aiResult.confidence > 0.2) {
+        console.log(`❌ AI filtered out: "${title}" (confidence: ${aiResult.confidence.toFixed(2)}, category: ${aiResult.topCategory})`);
+        if (stats) stats.aiFiltered++;
+      }
+    } else {
+      // AI failed, fallback to keyword filtering
+      isRelevant = evaluateRelevance(relevanceRules, title, source).relevant;
+      fallback = true;
+    }
+  } else {
+    // Fallback keyword filtering with relevance-rules.json: exclusions, source allowlist,
+    // then include terms, with per-category overrides (npm run rules:test explains a title)
+    isRelevant = evaluateRelevance(relevanceRules, title, source).relevant;
+    fallback = true;
+  }
+  
+  return { isRelevant, lowQuality, fallback };
+}
+
 // Crawl a single RSS feed with AI-powered filtering
-async function crawlFeed(source, useAIFilter = false, stats = null) {
+async function crawlFeed(source, useAIFilter = false, stats = null, context = {}) {
+  const { fetchCache = null, useFetchCache = true, sourceHealth = null, relevanceRules, settings } = context;
+  
+  // What happened to this source's items, for the crawl report
+  const report = createSourceReport(source);
+  const startedAt = Date.now();
+  const finish = result => {
+    report.durationMs = Date.now() - startedAt;
+    return { ...result, stats, report };
+  };
+  
   try {
     console.log(`Crawling: ${source.name}`);
     
-    const feed = await parser.parseURL(source.url);
+    const cacheEntry = fetchCache && useFetchCache ? fetchCache.sources[source.url] : null;
+    const response = await fetchText(sourceFetchUrl(source, settings), { headers: getConditionalHeaders(cacheEntry) });
+    report.fetchMs = Date.now() - startedAt;
+    report.status = response.status;
+    
+    if (response.status === 304) {
+      console.log(`↺ ${source.name}: not modified since last crawl`);
+      if (fetchCache) updateCacheEntry(fetchCache, source, response);
+      if (sourceHealth) recordSourceSuccess(sourceHealth, source, { status: 304 });
+      if (stats) stats.notModified++;
+      report.outcome = 'not-modified';
+      return finish({ articles: [] });
+    }
+    
+    let feed;
+    try {
+      feed = await parseSource(source, response);
+    } catch (error) {
+      error.parseError = true;
+      error.status = response.status;
+      throw error;
+    }
     const articles = [];
+    // GUIDs of the articles to mark as seen once they are saved to latest-raw.json
+    const seen = [];
+    const { policy } = source;
     
-    // Different limits based on source type
-    const itemLimit = source.category === 'youtube' ? 10 : 
-                     source.category === 'research' ? 15 :
-                     source.category === 'community' ? 25 :
-                     source.category === 'medium' ? 15 :
-                     source.category === 'developer' ? 12 :
-                     source.category === 'agentic' ? 20 : 20;
+    const items = feed.items.slice(0, policy.itemLimit);
     
-    const items = feed.items.slice(0, itemLimit);
+    // Only never-seen items go through classification
+    const rankedByEngagement = ENGAGEMENT_RANKED_TYPES.includes(source.type);
+    const seenGuids = new Set(rankedByEngagement ? [] : cacheEntry?.seenGuids || []);
+    const newItems = items.filter(item => !seenGuids.has(getItemGuid(item)));
+    if (stats) stats.seenSkipped += items.length - newItems.length;
+    report.format = feed.format;
+    report.itemsSeen = items.length;
+    report.dropped.seen = items.length - newItems.length;
     
-    for (const item of items) {
+    // Cheap checks first so invalid, stale or excluded items never reach the classifier
+    const candidates = [];
+    for (const item of newItems) {
       const title = cleanTitle(item.title || '');
-      const url = item.link || item.guid;
+      const sourceUrl = item.link || item.guid;
       
-      if (!title || !url) continue;
+      if (!title || !sourceUrl) {
+        report.dropped.invalid++;
+        continue;
+      }
       
       if (stats) stats.totalProcessed++;
       
       // Extract description for AI classification
-      let description = '';
-      if (item.contentSnippet) {
-        description = item.contentSnippet.substring(0, 200);
-      } else if (item.content) {
-        description = item.content.replace(/<[^>]*>/g, '').substring(0, 200);
-      } else if (item.summary) {
-        description = item.summary.replace(/<[^>]*>/g, '').substring(0, 200);
-      }
+      const description = (item.summary || htmlToText(item.content)).substring(0, 200);
       
-      // AI-powered filtering (preferred) or fallback to keywords
-      let isRelevant = false;
-      
-      if (useAIFilter) {
-        // Use AI classifier for intelligent filtering with 75% confidence threshold
-        const aiResult = await isAIRelevantAI(title, description);
-        
-        if (aiResult) {
-          // Apply confidence threshold for quality filtering
-          isRelevant = aiResult.isRelevant && aiResult.meetsQualityThreshold;
-          
-          // Log AI decisions for debugging and track stats
-          if (aiResult.isRelevant && !aiResult.meetsQualityThreshold) {
-            const threshold = parseFloat(process.env.CRAWL_CONFIDENCE_THRESHOLD || '0.30');
-            console.log(`🚫 Quality filtered: "${title.substring(0, 50)}..." (confidence: ${(aiResult.confidence * 100).toFixed(1)}% < ${(threshold * 100).toFixed(0)}%)`);
-            if (stats) stats.qualityFiltered++;
-          } else if (!aiResult.isRelevant && aiResult.confidence > 0.2) {
-            console.log(`❌ AI filtered out: "${title}" (confidence: ${aiResult.confidence.toFixed(2)}, category: ${aiResult.topCategory})`);
-            if (stats) stats.aiFiltered++;
-          }
-        } else {
-          // AI failed, fallback to keyword filtering
-          isRelevant = isAIRelevant(title, source.name);
-        }
-      } else {
-        // Fallback keyword filtering with improved logic
-        const basicAIRelevance = isAIRelevant(title, source.name);
-        
-        if (source.category === 'youtube' || source.category === 'research' || 
-            source.category === 'tutorial' || source.category === 'newsletter') {
-          // Educational sources: broader keywords but still filtered
-          const educationalAIKeywords = [
-            'ai', 'artificial intelligence', 'machine learning', 'ml', 'deep learning',
-            'neural', 'algorithm', 'model', 'data science', 'automation', 'robotics',
-            'computer science', 'programming', 'coding', 'software', 'tech', 'agent'
-          ];
-          const hasEducationalAI = educationalAIKeywords.some(keyword => 
-            title.toLowerCase().includes(keyword)
-          );
-          isRelevant = basicAIRelevance || hasEducationalAI;
-        } else {
-          // News/business sources: stricter AI relevance
-          isRelevant = basicAIRelevance;
-        }
-        
-        // Hard exclusions for clearly non-AI content
-        const excludeTerms = [
-          'fields medal', 'nobel prize', 'pure mathematics', 'number theory',
-          'sports', 'football', 'basketball', 'soccer', 'tennis', 'olympics',
-          'politics', 'election', 'climate change', 'global warming'
-        ];
-        const hasExcludedTerm = excludeTerms.some(term => 
-          title.toLowerCase().includes(term)
-        );
-        
-        if (hasExcludedTerm) {
-          isRelevant = false;
-        }
-      }
-      
-      if (!isRelevant) continue;
-      
-      // Different time windows based on source type (max 15 days to align with cleanup)
-      const daysBack = source.category === 'youtube' ? 14 :
-                      source.category === 'research' ? 15 :  // Reduced from 30 to prevent reprocessing
-                      source.category === 'community' ? 3 :
-                      source.category === 'medium' ? 7 :
-                      source.category === 'developer' ? 14 :
-                      source.category === 'tutorial' ? 14 :
-                      source.category === 'agentic' ? 10 : 7;
-      
-      const pubDate = new Date(item.pubDate || item.isoDate || item.published || Date.now());
+      const pubDate = new Date(item.published || item.updated || currentTime());
       
       // Validate date - skip articles with invalid or future dates
       if (isNaN(pubDate.getTime())) {
         console.log(`⚠️ Invalid date for article: "${title.substring(0, 50)}..."`);
+        report.dropped.invalid++;
         continue;
       }
       
-      const now = new Date();
+      const now = currentTime();
       if (pubDate > now) {
         console.log(`⚠️ Future date detected for article: "${title.substring(0, 50)}..." (${pubDate.toISOString()})`);
         // Use current time instead of future date
         pubDate.setTime(now.getTime());
       }
       
-      const cutoffDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000);
-      if (pubDate < cutoffDate) continue;
+      const cutoffDate = new Date(now.getTime() - policy.maxAgeDays * 24 * 60 * 60 * 1000);
+      if (pubDate < cutoffDate) {
+        report.dropped.age++;
+        continue;
+      }
+      
+      const keywordCheck = checkPolicyKeywords(policy, `${title} ${description}`);
+      if (!keywordCheck.allowed) {
+        console.log(`🔇 Policy filtered: "${title.substring(0, 50)}..." (${keywordCheck.reason})`);
+        report.dropped.keyword++;
+        continue;
+      }
+      
+      if (item.reddit) {
+        const redditCheck = checkRedditRules(policy, item.reddit);
+        if (!redditCheck.allowed) {
+          console.log(`🔇 Policy filtered: "${title.substring(0, 50)}..." (${redditCheck.reason})`);
+          report.dropped.rules++;
+          continue;
+        }
+      }
+      
+      if (item.hackernews) {
+        const hackerNewsCheck = checkHackerNewsRules(policy, item.hackernews);
+        if (!hackerNewsCheck.allowed) {
+          console.log(`🔇 Policy filtered: "${title.substring(0, 50)}..." (${hackerNewsCheck.reason})`);
+          report.dropped.rules++;
+          continue;
+        }
+      }
+      
+      candidates.push({ item, title, sourceUrl, description, pubDate });
+    }
+    
+    // Judge all remaining items at once, so the AI filter can batch them with other sources' items
+    const judgements = await Promise.all(candidates.map(({ item, title, description }) =>
+      judgeRelevance(source, item, title, description, { useAIFilter, relevanceRules, confidenceThreshold: settings.confidenceThreshold, stats })
+    ));
+    
+    for (const [index, { item, title, sourceUrl, description, pubDate }] of candidates.entries()) {
+      const { isRelevant, lowQuality, fallback } = judgements[index];
+      
+      if (!isRelevant) {
+        // Confident AI content below the source's threshold counts as a quality drop
+        if (lowQuality) report.dropped.quality++;
+        else report.dropped.aiRelevance++;
+        continue;
+      }
+      
+      // Readers get the link with redirects followed, its canonical form is the ID;
+      // the link as published is kept alongside
+      const url = await resolveArticleUrl(sourceUrl);
       
       articles.push({
         title: title,
         url: url,
+        sourceUrl: sourceUrl,
         source: source.name,
         source_domain: extractDomain(url),
         source_category: source.category,
@@ -433,66 +533,95 @@ async function crawlFeed(source, useAIFilter = false, stats = null) {
         pubDate: pubDate.toISOString(),
         metaDescription: description,
         
+        // Lead image and author names from the feed item
+        image: item.image || null,
+        authors: item.authors || [],
+        
+        // Score, comments, flair, self-text and outbound link of reddit posts, for ranking
+        ...(item.reddit && { reddit: item.reddit }),
+        
+        // arXiv ID, authors, subject classes, abstract and PDF link of papers
+        ...(item.paper && { paper: item.paper }),
+        
+        // Video ID, thumbnail, description and view count of videos
+        ...(item.media && { media: item.media }),
+        
+        // Repository, version tag, prerelease flag and notes excerpt of releases
+        ...(item.release && { release: item.release }),
+        
+        // Points, comments and discussion link of Hacker News stories
+        ...(item.hackernews && { hackernews: item.hackernews }),
+        
         // Will be filled by LLM processing
         category: null,
         difficulty: null,
         confidence: null,
         
         // Metadata
-        crawledAt: new Date().toISOString(),
-        id: generateId(title, url)
+        crawledAt: currentTime().toISOString(),
+        id: articleId(url)
       });
+      // A keyword judgement standing in for the model is made again next crawl
+      if (!fallback && !rankedByEngagement) seen.push({ url, guid: getItemGuid(item) });
     }
     
-    console.log(`✓ ${source.name}: ${articles.length} AI articles found`);
-    return { articles, stats };
+    // Keep the validators only if every item got its final judgement, otherwise a 304
+    // would hide the items the model still has to look at
+    const revalidate = !judgements.some(judgement => judgement.fallback);
+    if (fetchCache) updateCacheEntry(fetchCache, source, response, { revalidate });
+    if (sourceHealth) recordSourceSuccess(sourceHealth, source, { status: response.status, itemsKept: articles.length });
+    
+    console.log(`✓ ${source.name}: ${articles.length} AI articles found (${newItems.length}/${items.length} new items, ${feed.format})`);
+    report.passedFilters = articles.length;
+    report.kept = articles.length;
+    return finish({ articles, seen });
     
   } catch (error) {
+    // Not a source failure: the site asked crawlers to stay away from the feed
+    if (error.code === 'ROBOTS_DISALLOWED') {
+      console.log(`🤖 Skipping ${source.name}: ${error.url} is disallowed by robots.txt`);
+      if (stats) stats.robotsSkipped.push({ url: error.url, source: source.name, kind: 'feed' });
+      report.outcome = 'robots-disallowed';
+      return finish({ articles: [] });
+    }
     console.error(`✗ Failed to crawl ${source.name}:`, error.message);
-    return { articles: [], stats };
-  }
-}
-
-// Generate unique ID for article
-function generateId(title, url) {
-  const content = title + url;
-  let hash = 0;
-  for (let i = 0; i < content.length; i++) {
-    const char = content.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
+    report.outcome = 'failed';
+    report.status = error.response?.status ?? error.status ?? null;
+    report.error = String(error.message).split('\n')[0];
+    if (sourceHealth) {
+      recordSourceFailure(sourceHealth, source, {
+        status: error.response?.status ?? error.status ?? null,
+        error: error.message,
+        parseError: Boolean(error.parseError)
+      });
+    }
+    return finish({ articles: [] });
   }
-  return Math.abs(hash).toString(36);
 }
 
-// Remove duplicates based on similarity
-function removeDuplicates(articles) {
-  const unique = [];
-  const seen = new Set();
-  
-  for (const article of articles) {
-    // Create a normalized key for duplicate detection
-    const key = article.title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .split(' ')
-      .slice(0, 8) // First 8 words
-      .join(' ');
-    
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(article);
+// --record <dir> / --replay <dir>
+function parseCrawlArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--record' || args[i] === '--replay') {
+      const dir = args[++i];
+      if (!dir) throw new Error(`${args[i - 1]} needs a snapshot directory`);
+      options[args[i - 1].slice(2)] = dir;
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
     }
   }
-  
-  return unique;
+  if (options.record && options.replay) throw new Error('--record and --replay cannot be combined');
+  return options;
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  crawlAllSources()
+  Promise.resolve()
+    .then(async () => {
+      const { overrides, args } = parseConfigArgs(process.argv.slice(2));
+      return crawlAllSources({ ...parseCrawlArgs(args), config: await loadConfig(overrides) });
+    })
     .then(articles => {
       console.log(`✅ Crawl complete! Found ${articles.length} articles`);
     })
@@ -0,0 +1,293 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'node-html-parser';
+import { configureHttp, fetchText } from './http.js';
+import { runWithConcurrency } from './scheduler.js';
+import { saveRobotsCache } from './robots.js';
+import { addRobotsSkips } from './crawl-report.js';
+import { parseConfigArgs, loadConfig } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../data');
+const CACHE_PATH = path.join(DATA_DIR, 'content-cache.json');
+
+// Cache entry error of pages robots.txt keeps us from
+const ROBOTS_SKIP_REASON = 'Disallowed by robots.txt';
+
+// Stored text is capped to keep the committed cache small; the summarizer only reads the start anyway
+const MAX_TEXT_LENGTH = 3000;
+
+// Elements that never hold article text
+const NON_CONTENT_TAGS = 'script, style, noscript, template, iframe, svg, canvas, nav, header, footer, aside, form, button, select';
+
+// class/id tokens of page furniture (sharing bars, comment threads, newsletter boxes...)
+const BOILERPLATE_TOKEN = /^(comments?|share|sharing|social|related|recommended|sidebar|newsletter|subscribe|subscription|cookie|consent|promo|advert|ads?|banner|breadcrumbs?|menu|popup|modal|footer|header|nav|navbar|author-bio|tags)$/i;
+
+// Block elements whose text counts towards a container's score
+const PARAGRAPH_TAGS = 'p, pre, blockquote';
+
+// Load the content cache, starting fresh if it is missing or unreadable
+async function loadContentCache() {
+  try {
+    const cache = JSON.parse(await fs.readFile(CACHE_PATH, 'utf-8'));
+    return { ...cache, articles: cache.articles || {} };
+  } catch (error) {
+    return { articles: {} };
+  }
+}
+
+// Persist the content cache, dropping entries older than the rolling archive (process.windowDays)
+async function saveContentCache(cache, windowDays) {
+  const cutoff = Date.now() - windowDays * 24 * 60 * 60 * 1000;
+  const articles = Object.fromEntries(
+    Object.entries(cache.articles).filter(([, entry]) => new Date(entry.fetchedAt).getTime() > cutoff)
+  );
+
+  const output = {
+    updatedAt: new Date().toISOString(),
+    totalArticles: Object.keys(articles).length,
+    extracted: Object.values(articles).filter(entry => entry.status === 'ok').length,
+    articles
+  };
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(CACHE_PATH, JSON.stringify(output, null, 2));
+}
+
+// True when any class or id token names page furniture rather than content
+function isBoilerplateElement(element) {
+  const tokens = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`
+    .split(/[\s_-]+/)
+    .filter(Boolean);
+  return tokens.some(token => BOILERPLATE_TOKEN.test(token)) || element.getAttribute('role') === 'navigation';
+}
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Share of a container's text that sits inside links; menus and link lists score high
+function linkDensity(element) {
+  const textLength = normalizeText(element.text).length;
+  if (textLength === 0) return 1;
+  const linkLength = element.querySelectorAll('a')
+    .reduce((sum, link) => sum + normalizeText(link.text).length, 0);
+  return Math.min(linkLength / textLength, 1);
+}
+
+// Pick the element holding the article body: paragraphs add to their parent's
+// score (half to the grandparent), then link-heavy containers are penalized
+function findContentRoot(root) {
+  const scores = new Map();
+
+  for (const paragraph of root.querySelectorAll(PARAGRAPH_TAGS)) {
+    const text = normalizeText(paragraph.text);
+    if (text.length < 25) continue;
+
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = paragraph.parentNode;
+    const grandparent = parent && parent.parentNode;
+    if (parent && parent.tagName) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent && grandparent.tagName) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity(element));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  }
+
+  return best || root.querySelector('article') || root.querySelector('main') || root.querySelector('body') || root;
+}
+
+// Absolute URL of the page's og:image / twitter:image, if any
+function extractImage(root, pageUrl) {
+  const meta = root.querySelector('meta[property="og:image"]') ||
+    root.querySelector('meta[property="og:image:url"]') ||
+    root.querySelector('meta[name="twitter:image"]');
+  const value = meta && meta.getAttribute('content');
+  if (!value) return null;
+  try {
+    return new URL(value.trim(), pageUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+// Extract the readable main text of an HTML page with boilerplate removed
+function extractReadableContent(html, pageUrl) {
+  const root = parse(html, { comment: false });
+  const image = extractImage(root, pageUrl);
+
+  root.querySelectorAll(NON_CONTENT_TAGS).forEach(element => element.remove());
+  // The headline duplicates the article title we already have
+  root.querySelectorAll('h1').forEach(element => element.remove());
+  root.querySelectorAll('[class], [id], [role]')
+    .filter(element => !['HTML', 'BODY', 'MAIN', 'ARTICLE'].includes(element.tagName) && isBoilerplateElement(element))
+    .forEach(element => element.remove());
+
+  const contentRoot = findContentRoot(root);
+  const lines = contentRoot.structuredText
+    .split('\n')
+    .map(normalizeText)
+    .filter(line => line.length > 0);
+  const text = lines.join('\n');
+
+  return {
+    text,
+    wordCount: text ? text.split(/\s+/).length : 0,
+    image
+  };
+}
+
+// Fetch one article page and turn it into a cache entry. Reddit link posts are read at
+// their outbound link; self-posts, Hacker News text posts, arXiv papers, videos and releases
+// already carry their text from the feed.
+async function extractArticle(article) {
+  const pageUrl = article.reddit?.outboundUrl || article.url;
+  const entry = {
+    url: article.url,
+    ...(pageUrl !== article.url && { pageUrl }),
+    fetchedAt: new Date().toISOString(),
+    status: 'ok',
+    text: '',
+    wordCount: 0,
+    image: null,
+    error: null
+  };
+
+  if (article.reddit && !article.reddit.outboundUrl) {
+    return { ...entry, status: 'skipped', error: 'Reddit self-post (text from the listing)' };
+  }
+  if (article.hackernews && !article.hackernews.outboundUrl) {
+    return { ...entry, status: 'skipped', error: 'Hacker News text post (text from the listing)' };
+  }
+  if (article.paper) {
+    return { ...entry, status: 'skipped', error: 'arXiv paper (abstract from the feed)' };
+  }
+  if (article.media?.type === 'video') {
+    return { ...entry, status: 'skipped', error: 'YouTube video (description from the feed)' };
+  }
+  if (article.release) {
+    return { ...entry, status: 'skipped', error: 'GitHub release (notes from the feed)' };
+  }
+
+  try {
+    const response = await fetchText(pageUrl);
+    const contentType = response.headers.contentType || '';
+    if (contentType && !/html/i.test(contentType)) {
+      return { ...entry, status: 'skipped', error: `Not an HTML page (${contentType.split(';')[0]})` };
+    }
+
+    const content = extractReadableContent(response.body, pageUrl);
+    return {
+      ...entry,
+      status: content.wordCount > 0 ? 'ok' : 'empty',
+      text: content.text.substring(0, MAX_TEXT_LENGTH),
+      wordCount: content.wordCount,
+      image: content.image
+    };
+  } catch (error) {
+    if (error.code === 'ROBOTS_DISALLOWED') {
+      return { ...entry, status: 'skipped', error: ROBOTS_SKIP_REASON };
+    }
+    const status = error.response ? `HTTP ${error.response.status}` : error.message.split('\n')[0];
+    return { ...entry, status: 'failed', error: status };
+  }
+}
+
+// Read a data file, treating a missing one as empty
+async function readArticles(filename) {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(DATA_DIR, filename), 'utf-8'));
+    return data.articles || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Add the article pages robots.txt kept us from to the crawl's robotsSkipped list in latest-raw.json
+async function reportRobotsSkips(skipped) {
+  const rawPath = path.join(DATA_DIR, 'latest-raw.json');
+  const raw = JSON.parse(await fs.readFile(rawPath, 'utf-8'));
+  const listed = new Set((raw.robotsSkipped || []).map(entry => `${entry.kind}\n${entry.url}`));
+  raw.robotsSkipped = [...(raw.robotsSkipped || []), ...skipped.filter(entry => !listed.has(`${entry.kind}\n${entry.url}`))];
+  await fs.writeFile(rawPath, JSON.stringify(raw, null, 2));
+}
+
+// Enrichment stage between crawl and processing: extract full text for articles
+// the processor has not seen yet and store it in content-cache.json by article ID.
+// config is the pipeline config, loaded from the config file and env when not given.
+async function extractAllContent(config = null) {
+  console.log('📖 Starting full-text extraction...');
+  config = config || await loadConfig();
+  configureHttp(config.crawl);
+  const settings = config.extract;
+
+  const rawArticles = await readArticles('latest-raw.json');
+  const processedIds = new Set((await readArticles('latest-processed.json')).map(article => article.id));
+  const rejectedIds = new Set((await readArticles('rejected-articles.json')).map(article => article.id));
+  const cache = await loadContentCache();
+
+  const pending = rawArticles.filter(article =>
+    article.url && !cache.articles[article.id] && !processedIds.has(article.id) && !rejectedIds.has(article.id)
+  );
+  const batch = pending.slice(0, settings.limit);
+
+  console.log(`📊 ${rawArticles.length} raw articles, ${pending.length} need extraction${pending.length > batch.length ? ` (limited to ${settings.limit})` : ''}`);
+
+  const counts = { ok: 0, empty: 0, skipped: 0, failed: 0 };
+  const robotsSkipped = [];
+  await runWithConcurrency(batch, settings.concurrency, async article => {
+    const entry = await extractArticle(article);
+    cache.articles[article.id] = entry;
+    counts[entry.status]++;
+    if (entry.error === ROBOTS_SKIP_REASON) {
+      robotsSkipped.push({ url: entry.pageUrl || entry.url, source: article.source, kind: 'article' });
+    }
+    if (entry.status === 'ok') {
+      console.log(`✓ ${article.title.substring(0, 60)} (${entry.wordCount} words${entry.image ? ', image' : ''})`);
+    } else {
+      console.log(`✗ ${article.title.substring(0, 60)}: ${entry.error || 'no readable text'}`);
+    }
+  });
+
+  await saveContentCache(cache, config.process.windowDays);
+  await saveRobotsCache();
+  console.log(`📊 Extraction: ${counts.ok} extracted, ${counts.empty} empty, ${counts.skipped} skipped, ${counts.failed} failed`);
+  console.log('💾 Saved content cache to: content-cache.json');
+  if (robotsSkipped.length > 0) {
+    await reportRobotsSkips(robotsSkipped);
+    await addRobotsSkips(robotsSkipped);
+    console.log(`🤖 robots.txt: ${robotsSkipped.length} disallowed article pages added to robotsSkipped in latest-raw.json and the crawl report`);
+  }
+
+  return cache;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(async () => {
+      const { overrides, args } = parseConfigArgs(process.argv.slice(2));
+      if (args.length > 0) throw new Error(`Unknown option: ${args[0]}`);
+      return extractAllContent(await loadConfig(overrides));
+    })
+    .catch(error => {
+      console.error('❌ Extraction failed:', error);
+      process.exit(1);
+    });
+}
+
+export {
+  loadContentCache,
+  saveContentCache,
+  extractReadableContent,
+  extractAllContent
+};
@@ -0,0 +1,330 @@
+import Parser from 'rss-parser';
+import { parseXml, decodeEntities, localName, childElements, childElement, childText, textContent, innerXml } from './xml.js';
+
+// RSS 2.0 keeps going through rss-parser; the other formats have their own parsers.
+// Media RSS elements aren't parsed by default, they carry most feeds' images.
+const rssParser = new Parser({
+  customFields: {
+    item: [
+      ['media:content', 'mediaContent', { keepArray: true }],
+      ['media:thumbnail', 'mediaThumbnails', { keepArray: true }],
+      ['media:group', 'mediaGroup']
+    ]
+  }
+});
+
+const IMAGE_EXTENSION = /\.(jpe?g|png|gif|webp|avif)(\?|#|$)/i;
+
+/*
+ * Every parser returns { format, title, link, items } where each item has the
+ * normalized shape the crawler works with:
+ *   { title, link, guid, published, updated, authors, summary, content, enclosures, image, raw }
+ * Dates are ISO strings or null, summary is plain text, content may be HTML, image is
+ * the absolute URL of the lead image or null, and raw is the format-specific original
+ * (XML element or JSON object) for adapters.
+ */
+
+// Strip markup from an HTML fragment and collapse whitespace
+function htmlToText(html = '') {
+  return decodeEntities(
+    html
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+  ).replace(/\s+/g, ' ').trim();
+}
+
+// Author names as feeds write them: RSS <author> is "email (Name)", bare emails are dropped
+function cleanAuthors(authors) {
+  const names = authors
+    .map(author => String(author || '').replace(/\s+/g, ' ').trim())
+    .map(author => author.match(/^\S+@\S+\s*\((.+)\)$/)?.[1].trim() ?? author)
+    .filter(author => author && !/^\S+@\S+$/.test(author));
+  return [...new Set(names)];
+}
+
+// Absolute http(s) URL of an image reference, relative ones resolved against the item link
+function absoluteImageUrl(url, base) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(decodeEntities(url.trim()), base || undefined);
+    return resolved.protocol === 'https:' || resolved.protocol === 'http:' ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// src of the first <img> in an HTML fragment, skipping inline data and 1x1 tracking pixels
+function firstContentImage(html = '') {
+  for (const [tag] of html.matchAll(/<img\b[^>]*>/gi)) {
+    const src = tag.match(/\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const url = src && (src[1] ?? src[2] ?? src[3]);
+    if (!url || url.startsWith('data:')) continue;
+    if (/\b(?:width|height)\s*=\s*["']?1(?:px)?["'\s/>]/i.test(tag)) continue;
+    return url;
+  }
+  return null;
+}
+
+// Lead image of an item, in order of preference: an image enclosure, a media:content image,
+// a media:thumbnail, then the first <img> of the content. Media entries are the attributes
+// ({ url, medium, type }) of the Media RSS elements.
+function leadImage({ enclosures = [], mediaContent = [], mediaThumbnails = [], content = '', link = null }) {
+  const isImage = ({ url, type, medium }) =>
+    medium === 'image' || (type || '').startsWith('image/') || (!medium && !type && IMAGE_EXTENSION.test(url || ''));
+  const candidates = [
+    ...enclosures.filter(isImage).map(enclosure => enclosure.url),
+    ...mediaContent.filter(isImage).map(media => media.url),
+    ...mediaThumbnails.map(media => media.url),
+    firstContentImage(content)
+  ];
+  for (const url of candidates) {
+    const image = absoluteImageUrl(url, link);
+    if (image) return image;
+  }
+  return null;
+}
+
+// Media RSS attributes of an XML item, including the ones inside <media:group>
+function xmlMedia(entry) {
+  const scopes = [entry, ...childElements(entry, 'media:group')];
+  const attributesOf = name => scopes.flatMap(scope => childElements(scope, name)).map(element => element.attributes);
+  return { mediaContent: attributesOf('media:content'), mediaThumbnails: attributesOf('media:thumbnail') };
+}
+
+function toISODate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function emptyItem() {
+  return {
+    title: null,
+    link: null,
+    guid: null,
+    published: null,
+    updated: null,
+    authors: [],
+    summary: '',
+    content: '',
+    enclosures: [],
+    image: null,
+    raw: null
+  };
+}
+
+// Work out the format from the body, using the content type only as a hint
+function detectFeedFormat(body = '', contentType = '') {
+  const text = body.replace(/^\uFEFF/, '').trimStart();
+
+  if (text.startsWith('{')) {
+    try {
+      const json = JSON.parse(text);
+      return typeof json.version === 'string' && json.version.includes('jsonfeed.org') ? 'json-feed' : 'unknown';
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  // First element after the prolog, comments and doctype
+  const rootMatch = text
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/i, '')
+    .match(/<([A-Za-z_][\w:.-]*)/);
+  if (!rootMatch) return 'unknown';
+
+  const root = localName(rootMatch[1]);
+  if (root === 'feed') return 'atom';
+  if (root === 'RDF') return 'rdf';
+  if (root === 'rss') return 'rss';
+  if (root === 'html' || contentType.includes('text/html')) return 'html';
+  return 'unknown';
+}
+
+// JSON Feed 1.0 and 1.1 (https://jsonfeed.org/version/1.1)
+function parseJsonFeed(body) {
+  const feed = JSON.parse(body);
+  const authorNames = authors => (authors || []).map(author => author && author.name).filter(Boolean);
+  const feedAuthors = authorNames(feed.authors || (feed.author ? [feed.author] : []));
+
+  const items = (feed.items || []).map(entry => {
+    const itemAuthors = authorNames(entry.authors || (entry.author ? [entry.author] : []));
+    const content = entry.content_html || entry.content_text || '';
+    const link = entry.url || entry.external_url || null;
+    const enclosures = (entry.attachments || []).map(attachment => ({
+      url: attachment.url,
+      type: attachment.mime_type || null,
+      length: attachment.size_in_bytes || null
+    })).filter(enclosure => enclosure.url);
+    return {
+      ...emptyItem(),
+      title: entry.title || null,
+      link,
+      guid: entry.id !== undefined ? String(entry.id) : null,
+      published: toISODate(entry.date_published),
+      updated: toISODate(entry.date_modified),
+      authors: cleanAuthors(itemAuthors.length > 0 ? itemAuthors : feedAuthors),
+      summary: entry.summary ? htmlToText(entry.summary) : htmlToText(content),
+      content,
+      enclosures,
+      // The item's own image and banner come before attachments
+      image: leadImage({
+        mediaContent: [entry.image, entry.banner_image].filter(Boolean).map(url => ({ url, medium: 'image' })),
+        enclosures,
+        content: entry.content_html || '',
+        link
+      }),
+      raw: entry
+    };
+  });
+
+  return { format: 'json-feed', title: feed.title || null, link: feed.home_page_url || null, items };
+}
+
+// Atom 1.0, including feeds that prefix the Atom namespace (<atom:feed>)
+function parseAtom(body) {
+  const root = parseXml(body);
+  const ns = root.name.includes(':') ? root.name.slice(0, root.name.indexOf(':') + 1) : '';
+  const el = name => `${ns}${name}`;
+
+  // Atom text constructs: type="xhtml" wraps markup, html/text are plain strings
+  const textConstruct = element => {
+    if (!element) return '';
+    return element.attributes.type === 'xhtml' ? innerXml(element).trim() : textContent(element).trim();
+  };
+  const authorNames = element => childElements(element, el('author'))
+    .map(author => childText(author, el('name')))
+    .filter(Boolean);
+  const linksOf = element => childElements(element, el('link'));
+
+  const feedAuthors = authorNames(root);
+  const feedLink = linksOf(root).find(link => !link.attributes.rel || link.attributes.rel === 'alternate');
+
+  const items = childElements(root, el('entry')).map(entry => {
+    const links = linksOf(entry);
+    const alternate = links.find(link => !link.attributes.rel || link.attributes.rel === 'alternate');
+    const itemAuthors = authorNames(entry);
+    const content = textConstruct(childElement(entry, el('content')));
+    const summary = textConstruct(childElement(entry, el('summary')));
+    const link = alternate ? alternate.attributes.href : null;
+    const enclosures = links
+      .filter(element => element.attributes.rel === 'enclosure' && element.attributes.href)
+      .map(element => ({ url: element.attributes.href, type: element.attributes.type || null, length: element.attributes.length || null }));
+
+    return {
+      ...emptyItem(),
+      title: htmlToText(textConstruct(childElement(entry, el('title')))) || null,
+      link,
+      guid: childText(entry, el('id')),
+      published: toISODate(childText(entry, el('published'))),
+      updated: toISODate(childText(entry, el('updated'))),
+      authors: cleanAuthors(itemAuthors.length > 0 ? itemAuthors : feedAuthors),
+      summary: htmlToText(summary || content),
+      content: content || summary,
+      enclosures,
+      image: leadImage({ enclosures, ...xmlMedia(entry), content: content || summary, link }),
+      raw: entry
+    };
+  });
+
+  return {
+    format: 'atom',
+    title: htmlToText(textConstruct(childElement(root, el('title')))) || null,
+    link: feedLink ? feedLink.attributes.href : null,
+    items
+  };
+}
+
+// RSS 1.0 (RDF), where items are siblings of <channel> and metadata lives in Dublin Core
+function parseRdf(body) {
+  const root = parseXml(body);
+  const channel = childElements(root).find(element => localName(element.name) === 'channel');
+  const rssName = (parent, name) => childElements(parent).find(element => localName(element.name) === name && !element.name.startsWith('dc:'));
+  const rssText = (parent, name) => textContent(rssName(parent, name)).trim() || null;
+
+  const items = childElements(root)
+    .filter(element => localName(element.name) === 'item')
+    .map(entry => {
+      const link = rssText(entry, 'link');
+      const content = childText(entry, 'content:encoded') || rssText(entry, 'description') || '';
+      const date = toISODate(childText(entry, 'dc:date'));
+      return {
+        ...emptyItem(),
+        title: htmlToText(rssText(entry, 'title') || '') || null,
+        link,
+        guid: entry.attributes['rdf:about'] || link,
+        published: date,
+        updated: toISODate(childText(entry, 'dcterms:modified')) || date,
+        authors: cleanAuthors(childElements(entry, 'dc:creator').map(creator => textContent(creator))),
+        summary: htmlToText(rssText(entry, 'description') || content),
+        content,
+        image: leadImage({ ...xmlMedia(entry), content, link }),
+        raw: entry
+      };
+    });
+
+  return {
+    format: 'rdf',
+    title: channel ? rssText(channel, 'title') : null,
+    link: channel ? rssText(channel, 'link') : null,
+    items
+  };
+}
+
+// Media RSS attributes of an rss-parser item, including the ones inside <media:group>
+function rssMedia(entry) {
+  const attributesOf = (own, name) => [...(own || []), ...(entry.mediaGroup?.[name] || [])].map(element => element.$ || {});
+  return {
+    mediaContent: attributesOf(entry.mediaContent, 'media:content'),
+    mediaThumbnails: attributesOf(entry.mediaThumbnails, 'media:thumbnail')
+  };
+}
+
+// RSS 2.0 via rss-parser, mapped onto the normalized item shape
+async function parseRss(body) {
+  const feed = await rssParser.parseString(body);
+
+  const items = feed.items.map(entry => {
+    const content = entry['content:encoded'] || entry.content || '';
+    const enclosures = entry.enclosure && entry.enclosure.url
+      ? [{ url: entry.enclosure.url, type: entry.enclosure.type || null, length: entry.enclosure.length || null }]
+      : [];
+    return {
+      ...emptyItem(),
+      title: entry.title || null,
+      link: entry.link || null,
+      guid: entry.guid || entry.link || null,
+      published: toISODate(entry.isoDate || entry.pubDate),
+      updated: null,
+      // rss-parser reads dc:creator, or <author> when there is none, into creator
+      authors: cleanAuthors([entry.creator || entry.author]),
+      summary: entry.contentSnippet || htmlToText(entry.content || ''),
+      content,
+      enclosures,
+      image: leadImage({ enclosures, ...rssMedia(entry), content, link: entry.link }),
+      raw: entry
+    };
+  });
+
+  return { format: 'rss', title: feed.title || null, link: feed.link || null, items };
+}
+
+const FEED_PARSERS = {
+  'json-feed': parseJsonFeed,
+  atom: parseAtom,
+  rdf: parseRdf,
+  rss: parseRss
+};
+
+// Detect the format of a fetched body and parse it with the matching parser
+async function parseFeed(body, contentType = '') {
+  const format = detectFeedFormat(body, contentType || '');
+  const parse = FEED_PARSERS[format];
+  if (!parse) {
+    throw new Error(format === 'html' ? 'Got an HTML page instead of a feed' : `Unrecognized feed format${contentType ? ` (${contentType})` : ''}`);
+  }
+  return parse(body);
+}
+
+export { detectFeedFormat, parseFeed, htmlToText, toISODate, emptyItem };
@@ -0,0 +1,90 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_PATH = path.join(__dirname, '../data/fetch-cache.json');
+
+// Upper bound of remembered GUIDs per source (feeds rarely expose more than ~50 items)
+const MAX_SEEN_GUIDS = 500;
+
+// Load the per-source fetch cache, starting fresh if it is missing or unreadable
+async function loadFetchCache() {
+  try {
+    const cache = JSON.parse(await fs.readFile(CACHE_PATH, 'utf-8'));
+    return { ...cache, sources: cache.sources || {} };
+  } catch (error) {
+    return { sources: {} };
+  }
+}
+
+// Persist the fetch cache next to the other data files
+async function saveFetchCache(cache) {
+  const output = {
+    updatedAt: new Date().toISOString(),
+    totalSources: Object.keys(cache.sources).length,
+    sources: cache.sources
+  };
+  await fs.mkdir(path.dirname(CACHE_PATH), { recursive: true });
+  await fs.writeFile(CACHE_PATH, JSON.stringify(output, null, 2));
+}
+
+// Stable identity of a feed item across runs
+function getItemGuid(item) {
+  return item.guid || item.id || item.link || item.title || null;
+}
+
+// Build If-None-Match / If-Modified-Since headers from a cache entry
+function getConditionalHeaders(entry) {
+  const headers = {};
+  if (!entry) return headers;
+  if (entry.etag) headers['If-None-Match'] = entry.etag;
+  if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+// Record the outcome of a fetch. Seen GUIDs carry over untouched, markItemsSeen adds to them.
+// Without `revalidate` the validators are dropped, so the next crawl downloads the feed in full
+// even if it hasn't changed (items of this fetch still need another look).
+function updateCacheEntry(cache, source, response, { revalidate = true } = {}) {
+  const previous = cache.sources[source.url] || {};
+  const now = new Date().toISOString();
+
+  if (response.status === 304) {
+    cache.sources[source.url] = { ...previous, name: source.name, lastStatus: 304, lastCheckedAt: now };
+    return;
+  }
+
+  cache.sources[source.url] = {
+    name: source.name,
+    etag: revalidate ? response.headers.etag : undefined,
+    lastModified: revalidate ? response.headers.lastModified : undefined,
+    lastStatus: response.status,
+    lastCheckedAt: now,
+    lastChangedAt: now,
+    seenGuids: previous.seenGuids || []
+  };
+}
+
+// Remember items that made it into latest-raw.json so later crawls skip them. The newest
+// come first and the oldest are trimmed to MAX_SEEN_GUIDS.
+function markItemsSeen(cache, source, guids) {
+  const entry = cache.sources[source.url];
+  const added = guids.filter(Boolean);
+  if (!entry || added.length === 0) return;
+
+  const addedSet = new Set(added);
+  const older = (entry.seenGuids || []).filter(guid => !addedSet.has(guid));
+  entry.seenGuids = [...addedSet, ...older].slice(0, Math.max(MAX_SEEN_GUIDS, addedSet.size));
+}
+
+export {
+  loadFetchCache,
+  saveFetchCache,
+  getItemGuid,
+  getConditionalHeaders,
+  updateCacheEntry,
+  markItemsSeen
+};
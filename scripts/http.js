@@ -0,0 +1,155 @@
+import axios from 'axios';
+import { scheduleForHost, deferHost, configureScheduler } from './scheduler.js';
+import { isAllowedByRobots, configureRobots } from './robots.js';
+import { isReplaying, recordResponse, replayResponse } from './crawl-snapshots.js';
+import { defaultConfig } from './config.js';
+
+// Crawl settings of the pipeline config the requests follow, set by configureHttp: the
+// user-agent (crawl.userAgent, crawl.contactUrl), retries after the first attempt
+// (crawl.fetchRetries) and the base of the exponential backoff (crawl.fetchBackoffMs):
+// ~1s, ~2s, ~4s... with jitter
+let settings = defaultConfig().crawl;
+
+// Shared HTTP client for everything the crawler downloads
+const client = axios.create({
+  timeout: 10000,
+  maxRedirects: 3,
+  responseType: 'text',
+  transformResponse: data => data, // Keep raw bodies, parsers decide the format
+  validateStatus: status => (status >= 200 && status < 300) || status === 304
+});
+
+// Sent with every request: crawl.userAgent, or one naming the contact URL where site owners
+// can learn about the crawler. The product token before the first "/" is also the user-agent
+// matched against robots.txt groups.
+function userAgent() {
+  return settings.userAgent || `AINewsDailyBot/1.0 (+${settings.contactUrl})`;
+}
+
+// A Retry-After longer than this is not worth waiting for within one run
+const MAX_RETRY_AFTER_MS = 60000;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Half the exponential step plus random jitter, so sources that failed together don't retry in lockstep
+function backoffDelay(attempt) {
+  const ceiling = settings.fetchBackoffMs * 2 ** attempt;
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Send a request through the per-host scheduler, retrying transient failures
+// (timeouts, resets, 429 and 5xx) with jittered exponential backoff. A Retry-After
+// header sets the delay and also holds back other requests to the same host.
+async function requestWithRetries(config) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await scheduleForHost(config.url, () => client.request({ ...config, headers: { 'User-Agent': userAgent(), ...config.headers } }));
+    } catch (error) {
+      if (attempt >= settings.fetchRetries || !isRetryable(error)) throw error;
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) throw error;
+
+      const delay = retryAfter ?? backoffDelay(attempt);
+      if (retryAfter !== null) deferHost(config.url, retryAfter);
+
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+      console.log(`🔁 Retry ${attempt + 1}/${settings.fetchRetries} for ${config.url} in ${(delay / 1000).toFixed(1)}s (${reason})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Apply the crawl settings of the pipeline config to every request: user-agent, retries and
+// backoff, per-host limits and the robots.txt cache. Call before the first request.
+function configureHttp(crawlSettings) {
+  settings = crawlSettings;
+  configureScheduler(crawlSettings);
+  configureRobots(crawlSettings);
+}
+
+// Every request of the crawler: answered from a recording during --replay, saved to one during --record
+async function request(config) {
+  if (isReplaying()) return replayResponse(config);
+
+  try {
+    const response = await requestWithRetries(config);
+    await recordResponse(config, response);
+    return response;
+  } catch (error) {
+    await recordResponse(config, null, error);
+    throw error;
+  }
+}
+
+// robots.txt itself goes through the scheduler and retries but not the robots check.
+// 4xx resolves (no robots.txt means no restrictions); 429, 5xx and network errors throw.
+async function fetchRobotsTxt(url) {
+  const response = await request({ url, method: 'get', validateStatus: status => status < 500 && status !== 429 });
+  return { status: response.status, body: typeof response.data === 'string' ? response.data : '' };
+}
+
+// Refuse URLs that robots.txt disallows for our user-agent. Callers recognise the
+// error by its code and record the URL as skipped rather than failed.
+async function assertAllowedByRobots(url) {
+  if (await isAllowedByRobots(url, userAgent().split(/[/\s]/)[0], fetchRobotsTxt)) return;
+  const error = new Error(`Disallowed by robots.txt: ${url}`);
+  error.code = 'ROBOTS_DISALLOWED';
+  error.url = url;
+  throw error;
+}
+
+// Fetch a URL as text. 304 responses resolve with an empty body so callers can
+// treat "not modified" as a normal outcome instead of an error.
+async function fetchText(url, { headers = {} } = {}) {
+  await assertAllowedByRobots(url);
+  const response = await request({ url, method: 'get', headers });
+
+  return {
+    url,
+    status: response.status,
+    headers: {
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      contentType: response.headers['content-type'] || null
+    },
+    body: response.status === 304 ? '' : response.data
+  };
+}
+
+// Follow the redirects of a short link or feed proxy and return the final URL
+async function resolveRedirect(url) {
+  await assertAllowedByRobots(url);
+  const follow = method => request({
+    url,
+    method,
+    maxRedirects: 5,
+    validateStatus: status => status < 400
+  });
+
+  let response;
+  try {
+    response = await follow('head');
+  } catch (error) {
+    // Some shorteners refuse HEAD
+    response = await follow('get');
+  }
+  return response.request?.res?.responseUrl || url;
+}
+
+export { configureHttp, fetchText, resolveRedirect };
@@ -0,0 +1,204 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveArticleUrl, failedRedirects, articleId } from './canonical-url.js';
+import { runWithConcurrency } from './scheduler.js';
+import { configureHttp } from './http.js';
+import { loadConfig } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MAPPING_PATH = path.join(ROOT_DIR, 'data/id-migration.json');
+
+// Redirect lookups in flight; per-host limits still apply through http.js
+const RESOLVE_CONCURRENCY = 8;
+
+// Every generated file that stores articles by ID
+async function listDataFiles() {
+  const files = [];
+  for (const dir of ['data', 'site', 'site/data']) {
+    const entries = await fs.readdir(path.join(ROOT_DIR, dir)).catch(() => []);
+    for (const name of entries) {
+      if (!name.endsWith('.json') || name === path.basename(MAPPING_PATH)) continue;
+      files.push(path.join(dir, name));
+    }
+  }
+  return files.sort();
+}
+
+// Follow the shortener and feed-proxy redirects of every stored link the way the crawler does,
+// so migrated IDs match the ones the next crawl produces. Links resolved by an earlier run
+// come from its saved mapping; failed lookups keep the link as given and are not saved.
+async function resolveLinks(links, previousResolved) {
+  const resolved = new Map(Object.entries(previousResolved));
+  const pending = [...new Set(links)].filter(link => link && !resolved.has(link));
+  const results = await runWithConcurrency(pending, RESOLVE_CONCURRENCY, resolveArticleUrl);
+  pending.forEach((link, index) => resolved.set(link, results[index]));
+  return resolved;
+}
+
+// Rewrite one article: link with redirects followed (original kept as sourceUrl) and the
+// content-addressed ID of its canonical URL
+function migrateArticle(article, mapping, resolved) {
+  if (!article.url) return article;
+
+  const sourceUrl = article.sourceUrl || article.url;
+  const url = resolved.get(sourceUrl) || sourceUrl;
+  const migrated = {};
+  // Keep the field order of crawl.js (sourceUrl right after url)
+  for (const [key, value] of Object.entries(article)) {
+    if (key === 'sourceUrl') continue;
+    if (key === 'url') {
+      migrated.url = url;
+      migrated.sourceUrl = sourceUrl;
+    } else if (key === 'id') {
+      migrated.id = articleId(url);
+    } else if (key === 'storyId') {
+      migrated.storyId = mapping.get(value) || value;
+    } else {
+      migrated[key] = value;
+    }
+  }
+  return migrated;
+}
+
+// Migrate an articles array, dropping entries that now share an ID (the same canonical
+// URL crawled twice, e.g. after a retitle). Arrays are newest first, so the newest copy wins.
+function migrateArticleList(articles, mapping, resolved) {
+  const seen = new Set();
+  const migrated = [];
+  for (const article of articles) {
+    const result = migrateArticle(article, mapping, resolved);
+    if (result.id && seen.has(result.id)) continue;
+    seen.add(result.id);
+    migrated.push(result);
+  }
+  return { articles: migrated, duplicatesRemoved: articles.length - migrated.length };
+}
+
+// Rewrite all data files from the old 32-bit title+URL hash IDs to SHA-256 canonical URL
+// IDs, and save the old -> new mapping to data/id-migration.json. Safe to re-run: IDs that
+// are already content-addressed map to themselves and the saved mapping is extended, not replaced.
+async function migrateArticleIds() {
+  console.log('🔑 Migrating article IDs to SHA-256 of the canonical URL...');
+  configureHttp((await loadConfig()).crawl);
+
+  let previous = {};
+  try {
+    previous = JSON.parse(await fs.readFile(MAPPING_PATH, 'utf-8'));
+  } catch (error) {
+    // First run
+  }
+  const previousMapping = previous.mapping || {};
+
+  const files = await listDataFiles();
+  const documents = [];
+  for (const file of files) {
+    try {
+      documents.push({ file, data: JSON.parse(await fs.readFile(path.join(ROOT_DIR, file), 'utf-8')) });
+    } catch (error) {
+      console.log(`⚠️ Skipping ${file}: ${error.message}`);
+    }
+  }
+
+  // Stored links of articles, cached extractions and story coverage
+  const links = documents.flatMap(({ data }) => [
+    ...(Array.isArray(data.articles) ? data.articles.map(article => article.sourceUrl || article.url) : []),
+    ...(data.articles && !Array.isArray(data.articles) ? Object.values(data.articles).map(cached => cached.url) : []),
+    ...(Array.isArray(data.storyCoverage) ? data.storyCoverage.map(coverage => coverage.url) : [])
+  ]);
+  const resolved = await resolveLinks(links, previous.resolvedUrls || {});
+  const followed = [...resolved].filter(([link, url]) => link !== url);
+  console.log(`↪️ ${followed.length} links resolved through redirects`);
+  if (failedRedirects().length > 0) {
+    console.log(`⚠️ ${failedRedirects().length} redirects could not be followed; those articles keep the ID of their link until a later run resolves it`);
+  }
+
+  // First pass: old -> new ID for every article in every file, so storyIds can be rewritten too
+  const mapping = new Map();
+  const conflicts = new Set();
+  for (const { data } of documents) {
+    if (!Array.isArray(data.articles)) continue;
+    for (const article of data.articles) {
+      if (!article.id || !article.url) continue;
+      const sourceUrl = article.sourceUrl || article.url;
+      const newId = articleId(resolved.get(sourceUrl) || sourceUrl);
+      if (mapping.has(article.id) && mapping.get(article.id) !== newId) conflicts.add(article.id);
+      else mapping.set(article.id, newId);
+    }
+  }
+
+  // Second pass: rewrite each file
+  const report = [];
+  for (const { file, data } of documents) {
+    let changed = false;
+    const entry = { file, articles: 0, duplicatesRemoved: 0 };
+
+    if (Array.isArray(data.articles)) {
+      const result = migrateArticleList(data.articles, mapping, resolved);
+      entry.articles = result.articles.length;
+      entry.duplicatesRemoved = result.duplicatesRemoved;
+      data.articles = result.articles;
+      if (typeof data.totalArticles === 'number') data.totalArticles = result.articles.length;
+      if (typeof data.totalRejected === 'number') data.totalRejected = result.articles.length;
+      if (typeof data.dailyArticlesCount === 'number') data.dailyArticlesCount = result.articles.length;
+      changed = true;
+    } else if (data.articles && typeof data.articles === 'object') {
+      // content-cache.json is keyed by article ID
+      data.articles = Object.fromEntries(
+        Object.entries(data.articles).map(([id, cached]) => [mapping.get(id) || (cached.url ? articleId(resolved.get(cached.url) || cached.url) : id), cached])
+      );
+      entry.articles = Object.keys(data.articles).length;
+      changed = true;
+    }
+
+    if (Array.isArray(data.storyCoverage)) {
+      data.storyCoverage = data.storyCoverage.map(coverage => ({
+        ...coverage,
+        storyId: mapping.get(coverage.storyId) || coverage.storyId,
+        id: coverage.url ? articleId(resolved.get(coverage.url) || coverage.url) : coverage.id
+      }));
+      changed = true;
+    }
+
+    if (!changed) continue;
+    await fs.writeFile(path.join(ROOT_DIR, file), JSON.stringify(data, null, 2));
+    report.push(entry);
+    console.log(`✓ ${file}: ${entry.articles} articles${entry.duplicatesRemoved > 0 ? `, ${entry.duplicatesRemoved} duplicates removed` : ''}`);
+  }
+
+  // Earlier mappings point straight at the current IDs
+  const renamed = Object.fromEntries([...mapping].filter(([oldId, newId]) => oldId !== newId));
+  const allMappings = {
+    ...Object.fromEntries(Object.entries(previousMapping).map(([oldId, newId]) => [oldId, renamed[newId] || newId])),
+    ...renamed
+  };
+  const output = {
+    migratedAt: new Date().toISOString(),
+    idScheme: 'sha256(canonical url), first 16 hex characters',
+    totalMappings: Object.keys(allMappings).length,
+    conflicts: [...conflicts],
+    files: report,
+    resolvedUrls: Object.fromEntries(followed),
+    mapping: allMappings
+  };
+  await fs.writeFile(MAPPING_PATH, JSON.stringify(output, null, 2));
+
+  if (conflicts.size > 0) {
+    console.log(`⚠️ ${conflicts.size} old IDs were shared by different URLs (32-bit hash collisions); each article got its own new ID`);
+  }
+  console.log(`💾 Saved ${Object.keys(renamed).length} old -> new ID mappings to: id-migration.json (${output.totalMappings} total)`);
+  console.log('🎉 Migration complete!');
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateArticleIds().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+export { migrateArticleIds };
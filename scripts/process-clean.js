@@ -13,8 +13,8 @@ const __dirname = path.dirname(__filename);
 
 const scriptPath = path.join(__dirname, 'process-with-llm.js');
 
-// Spawn the process with stderr filtering
-const child = spawn('node', [scriptPath], {
+// Spawn the process with stderr filtering, passing config flags (--config, --process.limit...) through
+const child = spawn('node', [scriptPath, ...process.argv.slice(2)], {
   stdio: ['inherit', 'pipe', 'pipe'],
   env: { ...process.env }
 });
@@ -3,6 +3,11 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { loadContentCache } from './extract-content.js';
+import { mergeStoryCoverage } from './story-clusters.js';
+import { mergeHackerNewsStats } from './adapters/hackernews.js';
+import { mergeRedditStats } from './adapters/reddit.js';
+import { parseConfigArgs, loadConfig, configSnapshot } from './config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -69,25 +74,25 @@ const categories = [
 
 let classifier, summarizer, ner;
 
-// Initialize pipelines with working models only
-async function initializeModels() {
+// Initialize pipelines with the models of the process settings
+async function initializeModels(settings) {
   try {
-    console.log('Loading classifier...');
-    classifier = await pipeline('zero-shot-classification', 'Xenova/distilbert-base-uncased-mnli', {
+    console.log(`Loading classifier (${settings.classifierModel})...`);
+    classifier = await pipeline('zero-shot-classification', settings.classifierModel, {
       cache_dir: env.cacheDir,
       quantized: true
     });
     console.log('✓ Classifier loaded');
 
-    console.log('Loading summarizer...');
-    summarizer = await pipeline('summarization', 'Xenova/distilbart-cnn-6-6', {
+    console.log(`Loading summarizer (${settings.summarizerModel})...`);
+    summarizer = await pipeline('summarization', settings.summarizerModel, {
       cache_dir: env.cacheDir,
       quantized: true
     });
     console.log('✓ Summarizer loaded');
 
-    console.log('Loading NER...');
-    ner = await pipeline('ner', 'Xenova/bert-base-NER', {
+    console.log(`Loading NER (${settings.nerModel})...`);
+    ner = await pipeline('ner', settings.nerModel, {
       cache_dir: env.cacheDir,
       quantized: true
     });
@@ -206,15 +211,20 @@ function calculateDifficulty(title, entities) {
   return Math.min(Math.max(Math.round(difficulty), 1), 10);
 }
 
-// Generate summary
-async function generateSummary(title, metaDescription, source, useAI = false) {
-  // Check if metaDescription is meaningful (not just Reddit boilerplate)
-  const isRedditBoilerplate = metaDescription && (
+// Check whether a feed description is boilerplate (Reddit "submitted by ... [link]", bare links) rather than content
+function isBoilerplateDescription(metaDescription) {
+  return Boolean(metaDescription && (
     metaDescription.includes('submitted by') && metaDescription.includes('[link]') ||
     metaDescription.trim().length < 30 ||
     metaDescription.includes('https://preview.redd.it') ||
     metaDescription.match(/^https?:\/\//)
-  );
+  ));
+}
+
+// Generate summary
+async function generateSummary(title, metaDescription, source, useAI = false) {
+  // Check if metaDescription is meaningful (not just Reddit boilerplate)
+  const isRedditBoilerplate = isBoilerplateDescription(metaDescription);
   
   // Use meaningful metaDescription for summarization, skip Reddit boilerplate
   const contentToSummarize = metaDescription && metaDescription.trim() && !isRedditBoilerplate && metaDescription.length > 50 
@@ -284,9 +294,22 @@ function createTopicBasedSummary(title) {
   return `Community discussion about AI developments and related topics.`;
 }
 
-// Main processing function
-async function processArticlesWithAI() {
+// Crawl fields carried into the processed output; storyCoverage, the HN/Reddit stats, robotsSkipped,
+// sourcePolicies and the crawl config stay in latest-raw.json, since site/data.json ships to every visitor
+function crawlSummary(rawData) {
+  return {
+    crawledAt: rawData.crawledAt,
+    totalSources: rawData.totalSources,
+    aiFilterUsed: rawData.aiFilterUsed
+  };
+}
+
+// Main processing function. config is the pipeline config, loaded from the config file and env when not given.
+async function processArticlesWithAI(config = null) {
   console.log('🤖 Starting article processing...');
+  config = config || await loadConfig();
+  const settings = config.process;
+  const windowDays = settings.windowDays;
   
   // Load raw articles
   const rawDataPath = path.join(__dirname, '../data/latest-raw.json');
@@ -316,6 +339,24 @@ async function processArticlesWithAI() {
     console.log('🚫 No rejected articles cache found, starting fresh');
   }
   
+  // Attach new coverage of archived stories found by the crawler (other outlets, crossposts)
+  const mergedCoverage = mergeStoryCoverage(existingProcessed.articles, rawData.storyCoverage);
+  if (mergedCoverage > 0) {
+    console.log(`🔗 Added ${mergedCoverage} sources to the coverage of existing stories`);
+  }
+  
+  // Points and comments of Hacker News stories that link to archived articles
+  const mergedHackerNews = mergeHackerNewsStats(existingProcessed.articles, rawData.hackerNewsStats);
+  if (mergedHackerNews > 0) {
+    console.log(`🟧 Updated Hacker News stats on ${mergedHackerNews} existing articles`);
+  }
+  
+  // Current score, comments and flair of Reddit posts that are already archived
+  const mergedReddit = mergeRedditStats(existingProcessed.articles, rawData.redditStats);
+  if (mergedReddit > 0) {
+    console.log(`🔺 Updated Reddit stats on ${mergedReddit} existing articles`);
+  }
+  
   // Create sets for quick lookup
   const processedIds = new Set(existingProcessed.articles.map(a => a.id));
   const rejectedIds = new Set(rejectedArticles.articles.map(a => a.id));
@@ -325,8 +366,8 @@ async function processArticlesWithAI() {
     !processedIds.has(article.id) && !rejectedIds.has(article.id)
   );
   
-  // Apply configurable processing limit for testing (via env var)
-  const testLimit = process.env.PROCESSING_LIMIT ? parseInt(process.env.PROCESSING_LIMIT) : null;
+  // Apply configurable processing limit (process.limit, PROCESSING_LIMIT env var)
+  const testLimit = settings.limit;
   const finalArticlesToProcess = testLimit ? articlesToProcess.slice(0, testLimit) : articlesToProcess;
   
   console.log(`📊 Found ${rawData.articles.length} total articles, ${articlesToProcess.length} new articles to process`);
@@ -334,15 +375,14 @@ async function processArticlesWithAI() {
     console.log(`⏭️ Skipping ${rejectedArticles.articles.length} previously rejected articles`);
   }
   if (testLimit && testLimit < articlesToProcess.length) {
-    console.log(`🧪 TESTING MODE: Processing only first ${testLimit} articles (set PROCESSING_LIMIT=${testLimit})`);
+    console.log(`🧪 TESTING MODE: Processing only first ${testLimit} articles (process.limit is ${testLimit})`);
   }
   
   if (finalArticlesToProcess.length === 0) {
     console.log('✅ All articles already processed! Updating metadata...');
     
-    // Apply 15-day rolling cleanup to existing articles too
-    const cleanupThresholdDays = 15;
-    const cleanupThreshold = new Date(Date.now() - cleanupThresholdDays * 24 * 60 * 60 * 1000);
+    // Apply the rolling window cleanup to existing articles too
+    const cleanupThreshold = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
     
     const beforeCleanup = existingProcessed.articles.length;
     const recentArticles = existingProcessed.articles.filter(article => {
@@ -352,19 +392,20 @@ async function processArticlesWithAI() {
     
     const cleanedUpCount = beforeCleanup - recentArticles.length;
     if (cleanedUpCount > 0) {
-      console.log(`🧹 Cleaned up ${cleanedUpCount} articles older than ${cleanupThresholdDays} days from existing data`);
+      console.log(`🧹 Cleaned up ${cleanedUpCount} articles older than ${windowDays} days from existing data`);
     }
     
-    // Update the latest file with recent articles only (15-day rolling window)
+    // Update the latest file with recent articles only (rolling window)
     const latestData = {
-      ...rawData,
+      ...crawlSummary(rawData),
       articles: recentArticles,
       processedAt: new Date().toISOString(),
       processingMethod: 'cached',
       totalArticles: recentArticles.length,
       cleanupApplied: cleanedUpCount > 0,
       cleanedUpCount: cleanedUpCount,
-      rollingWindowDays: cleanupThresholdDays
+      rollingWindowDays: windowDays,
+      config: { process: configSnapshot(config, 'process') }
     };
     
     // Create today's file with ONLY today's articles
@@ -383,13 +424,14 @@ async function processArticlesWithAI() {
     });
     
     const dailyData = {
-      ...rawData,
+      ...crawlSummary(rawData),
       articles: todaysArticles,
       processedAt: new Date().toISOString(),
       processingMethod: 'cached',
       totalArticles: todaysArticles.length,
       dailyArticlesCount: todaysArticles.length,
-      filterDate: today
+      filterDate: today,
+      config: latestData.config
     };
     
     // Save files
@@ -399,14 +441,19 @@ async function processArticlesWithAI() {
     await fs.writeFile(latestPath, JSON.stringify(latestData, null, 2));
     await fs.writeFile(datePath, JSON.stringify(dailyData, null, 2));
     
-    console.log(`💾 Updated: ${latestPath} (${recentArticles.length} articles in 15-day rolling window)`);
+    console.log(`💾 Updated: ${latestPath} (${recentArticles.length} articles in ${windowDays}-day rolling window)`);
     console.log(`📅 Historical backup: ${datePath} (${todaysArticles.length} today's articles)`);
     console.log('🎉 Processing completed (no new articles)!');
     return latestData;
   }
   
   // Initialize AI models only if we have articles to process
-  const useAI = await initializeModels();
+  const useAI = await initializeModels(settings);
+  
+  // Full text extracted by scripts/extract-content.js, keyed by article ID (optional stage)
+  const contentCache = await loadContentCache();
+  const extractedCount = finalArticlesToProcess.filter(article => contentCache.articles[article.id]?.status === 'ok').length;
+  console.log(`📖 Full text available for ${extractedCount}/${finalArticlesToProcess.length} articles`);
   
   console.log(`🧠 Processing ${finalArticlesToProcess.length} new articles with ${useAI ? 'AI' : 'rule-based'} analysis...`);
   
@@ -420,12 +467,22 @@ async function processArticlesWithAI() {
     const article = finalArticlesToProcess[i];
     console.log(`Processing ${i+1}/${finalArticlesToProcess.length}: ${article.title.substring(0, 50)}...`);
     
+    // Extracted page text gives the classifier and summarizer more than a 200-character snippet
+    const extracted = contentCache.articles[article.id];
+    const fullText = extracted && extracted.status === 'ok' ? extracted.text : null;
+    // Reddit and Hacker News text posts, arXiv papers, videos and releases bring their text from the feed instead
+    const bodyText = fullText || article.reddit?.selftext || article.hackernews?.text || article.paper?.abstract || article.media?.description || article.release?.notes || null;
+    
     let result;
     
-    if (useAI && classifier) {
+    if (article.release) {
+      // Releases of followed repositories are developer tool updates, no need to ask the classifier
+      result = { category: 'developer-tool', confidence: 1 };
+    } else if (useAI && classifier) {
       try {
         // AI-powered classification
-        const classification = await classifier(article.title, categories);
+        const classificationInput = bodyText ? `${article.title}. ${bodyText.substring(0, 500)}` : article.title;
+        const classification = await classifier(classificationInput, categories);
         const topLabel = classification.labels[0];
         const confidence = classification.scores[0];
         
@@ -459,10 +516,10 @@ async function processArticlesWithAI() {
     const difficulty = calculateDifficulty(article.title, entities);
     
     // Generate summary
-    const summary = await generateSummary(article.title, article.metaDescription, article.source, useAI);
+    const summary = await generateSummary(article.title, bodyText ? bodyText.substring(0, 1500) : article.metaDescription, article.source, useAI);
     
-    // Apply confidence threshold filter - reject articles below threshold (configurable via PROCESS_CONFIDENCE_THRESHOLD env var)
-    const confidenceThreshold = parseFloat(process.env.PROCESS_CONFIDENCE_THRESHOLD || '0.25');
+    // Apply confidence threshold filter - reject articles below process.confidenceThreshold
+    const confidenceThreshold = settings.confidenceThreshold;
     if (result.confidence < confidenceThreshold) {
       console.log(`❌ Rejected low confidence (${(result.confidence * 100).toFixed(1)}%): ${article.title.substring(0, 60)}...`);
       
@@ -483,6 +540,14 @@ async function processArticlesWithAI() {
     // Create processed article
     const processedArticle = {
       ...article,
+      ...(extracted && extracted.status === 'ok' ? {
+        metaDescription: isBoilerplateDescription(article.metaDescription) || !article.metaDescription
+          ? fullText.replace(/\s+/g, ' ').substring(0, 200)
+          : article.metaDescription,
+        wordCount: extracted.wordCount,
+        // The page's og:image, or the lead image the crawler found in the feed
+        image: extracted.image || article.image || null
+      } : {}),
       category: result.category,
       confidence: result.confidence,
       difficulty: difficulty,
@@ -504,9 +569,8 @@ async function processArticlesWithAI() {
   // Sort by publication date (newest first)
   allProcessedArticles.sort((a, b) => new Date(b.pubDate || b.published_at) - new Date(a.pubDate || a.published_at));
   
-  // Apply 15-day rolling cleanup to latest-processed.json to maintain consistency
-  const cleanupThresholdDays = 15;
-  const cleanupThreshold = new Date(Date.now() - cleanupThresholdDays * 24 * 60 * 60 * 1000);
+  // Apply the rolling window cleanup to latest-processed.json to maintain consistency
+  const cleanupThreshold = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
   
   const beforeCleanup = allProcessedArticles.length;
   const recentArticles = allProcessedArticles.filter(article => {
@@ -516,22 +580,24 @@ async function processArticlesWithAI() {
   
   const cleanedUpCount = beforeCleanup - recentArticles.length;
   if (cleanedUpCount > 0) {
-    console.log(`🧹 Cleaned up ${cleanedUpCount} articles older than ${cleanupThresholdDays} days from latest-processed.json`);
+    console.log(`🧹 Cleaned up ${cleanedUpCount} articles older than ${windowDays} days from latest-processed.json`);
   }
   
-  // Create data for latest file (contains recent articles only - 15-day rolling window)
+  // Create data for latest file (contains recent articles only - rolling window)
   const latestData = {
-    ...rawData,
+    ...crawlSummary(rawData),
     articles: recentArticles,
     processedAt: new Date().toISOString(),
     totalArticles: recentArticles.length,
     categories: [...new Set(recentArticles.map(a => a.category))],
+    paperSubjects: [...new Set(recentArticles.map(a => a.paper?.primaryCategory).filter(Boolean))].sort(),
     processingMethod: useAI ? 'ai-powered' : 'rule-based',
     newArticlesProcessed: newlyProcessedArticles.length,
     existingArticlesKept: existingProcessed.articles.length,
     cleanupApplied: cleanedUpCount > 0,
     cleanedUpCount: cleanedUpCount,
-    rollingWindowDays: cleanupThresholdDays
+    rollingWindowDays: windowDays,
+    config: { process: configSnapshot(config, 'process') }
   };
   
   // Create data for daily file (contains ONLY today's articles)
@@ -550,15 +616,17 @@ async function processArticlesWithAI() {
   });
   
   const dailyData = {
-    ...rawData,
+    ...crawlSummary(rawData),
     articles: todaysArticles,
     processedAt: new Date().toISOString(),
     totalArticles: todaysArticles.length,
     categories: [...new Set(todaysArticles.map(a => a.category))],
+    paperSubjects: [...new Set(todaysArticles.map(a => a.paper?.primaryCategory).filter(Boolean))].sort(),
     processingMethod: useAI ? 'ai-powered' : 'rule-based',
     newArticlesProcessed: newlyProcessedArticles.length,
     dailyArticlesCount: todaysArticles.length,
-    filterDate: today
+    filterDate: today,
+    config: latestData.config
   };
   
   // Save files
@@ -575,8 +643,8 @@ async function processArticlesWithAI() {
   if (newlyRejectedArticles.length > 0) {
     let allRejectedArticles = [...rejectedArticles.articles, ...newlyRejectedArticles];
     
-    // Clean up old rejected articles (align with 15-day rolling archive) to prevent cache bloat
-    const cleanupThresholdDays = parseInt(process.env.REJECTED_CACHE_CLEANUP_DAYS || '15');
+    // Clean up old rejected articles (process.rejectedCacheDays) to prevent cache bloat
+    const cleanupThresholdDays = settings.rejectedCacheDays;
     const cleanupThreshold = new Date(Date.now() - cleanupThresholdDays * 24 * 60 * 60 * 1000);
     const beforeCleanup = allRejectedArticles.length;
     
@@ -593,7 +661,8 @@ async function processArticlesWithAI() {
       totalRejected: allRejectedArticles.length,
       newlyRejected: newlyRejectedArticles.length,
       cleanupThresholdDays: cleanupThresholdDays,
-      cleanedUpCount: cleanedUp
+      cleanedUpCount: cleanedUp,
+      config: { process: latestData.config.process }
     };
     
     await fs.writeFile(rejectedDataPath, JSON.stringify(rejectedOutputData, null, 2));
@@ -604,16 +673,15 @@ async function processArticlesWithAI() {
   }
   
   console.log(`✅ Successfully processed ${newlyProcessedArticles.length} new articles with ${useAI ? 'AI' : 'rule-based'} analysis`);
-  console.log(`📊 Total articles in 15-day window: ${recentArticles.length} (${existingProcessed.articles.length} existing + ${newlyProcessedArticles.length} new)`);
+  console.log(`📊 Total articles in ${windowDays}-day window: ${recentArticles.length} (${existingProcessed.articles.length} existing + ${newlyProcessedArticles.length} new)`);
   if (cleanedUpCount > 0) {
-    console.log(`🧹 Cleaned up ${cleanedUpCount} articles older than ${cleanupThresholdDays} days`);
+    console.log(`🧹 Cleaned up ${cleanedUpCount} articles older than ${windowDays} days`);
   }
   console.log(`🎯 New categories found:`, Object.keys(categoryStats).join(', ') || 'none');
   if (rejectedLowConfidence > 0) {
-    const threshold = parseFloat(process.env.PROCESS_CONFIDENCE_THRESHOLD || '0.25');
-    console.log(`🚫 Rejected ${rejectedLowConfidence} articles with confidence < ${(threshold * 100).toFixed(0)}%`);
+    console.log(`🚫 Rejected ${rejectedLowConfidence} articles with confidence < ${(settings.confidenceThreshold * 100).toFixed(0)}%`);
   }
-  console.log(`💾 Saved to: ${latestPath} (${recentArticles.length} articles in 15-day rolling window)`);
+  console.log(`💾 Saved to: ${latestPath} (${recentArticles.length} articles in ${windowDays}-day rolling window)`);
   console.log(`📅 Historical backup: ${datePath} (${todaysArticles.length} today's articles)`);
   console.log('🎉 AI processing completed successfully!');
   
@@ -622,7 +690,13 @@ async function processArticlesWithAI() {
 
 // Run if called directly
 if (import.meta.url === `file://${__filename}`) {
-  processArticlesWithAI().catch(console.error);
+  Promise.resolve()
+    .then(async () => {
+      const { overrides, args } = parseConfigArgs(process.argv.slice(2));
+      if (args.length > 0) throw new Error(`Unknown option: ${args[0]}`);
+      return processArticlesWithAI(await loadConfig(overrides));
+    })
+    .catch(console.error);
 }
 
 export default processArticlesWithAI; 
\ No newline at end of file
@@ -0,0 +1,223 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CATEGORIES } from './sources-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RULES_PATH = path.join(__dirname, '../relevance-rules.json');
+
+// Term lists, in the order they decide: an exclusion always wins, then an allowlisted
+// source, then an include term. Titles matching none are not relevant.
+const RULE_LISTS = ['exclude', 'sourceAllowlist', 'include'];
+
+// Lists an override can add to, besides the categories it applies to
+const OVERRIDE_KEYS = ['categories', ...RULE_LISTS];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a term. "/pattern/flags" is a regex; anything else matches as a whole word or phrase,
+// so "ai" doesn't match "said". A trailing * matches word prefixes ("agent*" also matches
+// "agents" and "agentic"). Matching is case-insensitive.
+function compileTerm(term) {
+  const regex = term.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2].includes('i') ? regex[2] : `${regex[2]}i`);
+
+  const prefix = term.endsWith('*');
+  const words = escapeRegExp((prefix ? term.slice(0, -1) : term).trim()).replace(/\s+/g, '\\s+');
+  // Lookarounds instead of \b, which fails next to terms ending in punctuation like "a.i."
+  return new RegExp(`(?<!\\w)${words}${prefix ? '' : '(?!\\w)'}`, 'i');
+}
+
+// Check the term lists of the rules file or of one override
+function validateTermLists(entry, where, errors, warnings) {
+  for (const list of RULE_LISTS) {
+    if (entry[list] === undefined) continue;
+    if (!Array.isArray(entry[list]) || entry[list].some(term => typeof term !== 'string' || !term.replace('*', '').trim())) {
+      errors.push(`${where}${list}: must be an array of non-empty strings`);
+      continue;
+    }
+    const seen = new Set();
+    for (const term of entry[list]) {
+      try {
+        compileTerm(term);
+      } catch (error) {
+        errors.push(`${where}${list}: invalid regex ${term} (${error.message})`);
+      }
+      if (seen.has(term.toLowerCase())) warnings.push(`${where}${list}: duplicate term "${term}"`);
+      seen.add(term.toLowerCase());
+    }
+  }
+}
+
+// Validate a parsed rules file. Errors make it unusable; warnings are advisory.
+function validateRelevanceRules(rules) {
+  const errors = [];
+  const warnings = [];
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { errors: ['top level must be an object'], warnings };
+  }
+  for (const key of Object.keys(rules)) {
+    if (![...RULE_LISTS, 'overrides'].includes(key)) errors.push(`unknown key "${key}"`);
+  }
+  validateTermLists(rules, '', errors, warnings);
+
+  if (rules.overrides !== undefined && !Array.isArray(rules.overrides)) {
+    errors.push('overrides: must be an array');
+  } else {
+    (rules.overrides || []).forEach((override, index) => {
+      const where = `overrides[${index}].`;
+      if (!override || typeof override !== 'object' || Array.isArray(override)) {
+        errors.push(`overrides[${index}]: must be an object`);
+        return;
+      }
+      for (const key of Object.keys(override)) {
+        if (!OVERRIDE_KEYS.includes(key)) errors.push(`${where}${key}: unknown field`);
+      }
+      if (!Array.isArray(override.categories) || override.categories.length === 0) {
+        errors.push(`${where}categories: must be a non-empty array of categories`);
+      } else {
+        override.categories
+          .filter(category => !CATEGORIES.includes(category))
+          .forEach(category => errors.push(`${where}categories: unknown category "${category}" (expected one of: ${CATEGORIES.join(', ')})`));
+      }
+      validateTermLists(override, where, errors, warnings);
+    });
+  }
+
+  return { errors, warnings };
+}
+
+// Compile a validated rules file. Each term keeps the scope it came from ("global" or
+// "overrides[0]") so decisions can be explained.
+function compileRelevanceRules(rules) {
+  const compileList = (entry, list, scope) => (entry[list] || []).map(term => ({ term, scope, pattern: compileTerm(term) }));
+  return {
+    global: Object.fromEntries(RULE_LISTS.map(list => [list, compileList(rules, list, 'global')])),
+    overrides: (rules.overrides || []).map((override, index) => ({
+      categories: override.categories,
+      ...Object.fromEntries(RULE_LISTS.map(list => [list, compileList(override, list, `overrides[${index}]`)]))
+    })),
+    byCategory: new Map()
+  };
+}
+
+// Term lists for a source category: the global lists plus every override for the category
+function rulesForCategory(rules, category) {
+  if (!rules.byCategory.has(category)) {
+    const overrides = rules.overrides.filter(override => override.categories.includes(category));
+    rules.byCategory.set(category, Object.fromEntries(RULE_LISTS.map(list => [
+      list,
+      [...rules.global[list], ...overrides.flatMap(override => override[list])]
+    ])));
+  }
+  return rules.byCategory.get(category);
+}
+
+// Decide whether a title is AI-relevant for a source ({ name, category }). Returns
+// { relevant, decidedBy, matches }: decidedBy is the { list, term, scope } that decided
+// (null when nothing matched) and matches lists every matching term per list.
+function evaluateRelevance(rules, title, source = {}) {
+  const lists = rulesForCategory(rules, source.category || null);
+  const subjects = { exclude: title, sourceAllowlist: source.name || '', include: title };
+
+  const matches = Object.fromEntries(RULE_LISTS.map(list => [
+    list,
+    lists[list]
+      .filter(({ pattern }) => pattern.test(subjects[list]))
+      .map(({ term, scope }) => ({ term, scope }))
+  ]));
+
+  const list = RULE_LISTS.find(name => matches[name].length > 0);
+  return {
+    relevant: Boolean(list) && list !== 'exclude',
+    decidedBy: list ? { list, ...matches[list][0] } : null,
+    matches
+  };
+}
+
+// Load relevance-rules.json for crawling, refusing an invalid file
+async function loadRelevanceRules() {
+  const rules = JSON.parse(await fs.readFile(RULES_PATH, 'utf-8'));
+  const { errors, warnings } = validateRelevanceRules(rules);
+
+  warnings.forEach(warning => console.log(`⚠️ relevance-rules.json: ${warning}`));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`✗ relevance-rules.json: ${error}`));
+    throw new Error(`relevance-rules.json is invalid (${errors.length} errors) - run npm run rules:test`);
+  }
+
+  return compileRelevanceRules(rules);
+}
+
+// How a decision reads in logs and rules:test
+function describeRule({ list, term, scope }) {
+  const kind = { exclude: 'excluded by', sourceAllowlist: 'source allowlisted by', include: 'included by' }[list];
+  return `${kind} "${term}" (${scope})`;
+}
+
+// Explain how the rules judge a title: every matching term per list, then the deciding one
+async function testRelevanceRules(title, source = {}) {
+  const rules = await loadRelevanceRules();
+  console.log(`✅ relevance-rules.json is valid`);
+  if (!title) return null;
+
+  const result = evaluateRelevance(rules, title, source);
+  console.log(`\n🧪 "${title}"${source.name ? ` from "${source.name}"` : ''}${source.category ? ` [${source.category}]` : ''}`);
+  for (const list of RULE_LISTS) {
+    const matched = result.matches[list].map(({ term, scope }) => `"${term}"${scope === 'global' ? '' : ` (${scope})`}`);
+    console.log(`   ${list.padEnd(16)} ${matched.length ? matched.join(', ') : '-'}`);
+  }
+  console.log(result.relevant
+    ? `\n✅ Relevant: ${describeRule(result.decidedBy)}`
+    : `\n❌ Not relevant: ${result.decidedBy ? describeRule(result.decidedBy) : 'no include term matched'}`);
+  return result;
+}
+
+// --source <name> --category <category>
+function parseTestArgs(args) {
+  const source = {};
+  const words = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--source' || args[i] === '--category') {
+      const value = args[++i];
+      if (!value) throw new Error(`${args[i - 1]} needs a value`);
+      source[args[i - 1] === '--source' ? 'name' : 'category'] = value;
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown option: ${args[i]}`);
+    } else {
+      words.push(args[i]);
+    }
+  }
+  if (source.category && !CATEGORIES.includes(source.category)) {
+    throw new Error(`Unknown category "${source.category}" (expected one of: ${CATEGORIES.join(', ')})`);
+  }
+  return { title: words.join(' ').trim(), source };
+}
+
+// Run if called directly: node scripts/relevance-rules.js ["<title>"] [--source <name>] [--category <category>]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(() => {
+      const { title, source } = parseTestArgs(process.argv.slice(2));
+      return testRelevanceRules(title, source);
+    })
+    .catch(error => {
+      console.error('❌ Rules test failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export {
+  RULES_PATH,
+  compileTerm,
+  validateRelevanceRules,
+  compileRelevanceRules,
+  evaluateRelevance,
+  loadRelevanceRules,
+  describeRule
+};
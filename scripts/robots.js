@@ -0,0 +1,183 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defaultConfig } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_PATH = path.join(__dirname, '../data/robots-cache.json');
+
+// How long a fetched robots.txt is trusted, crawl.robotsCacheHours (see configureRobots)
+let cacheHours = defaultConfig().crawl.robotsCacheHours;
+
+// Only the first 500 KiB of a robots.txt has to be honored (RFC 9309)
+const MAX_ROBOTS_SIZE = 500 * 1024;
+
+let cache = null;
+let persist = true;
+const pending = new Map();
+// Origins already asked during this run, so a stale copy kept after a failed refresh isn't re-requested
+const refreshed = new Set();
+
+// Take the robots.txt cache lifetime from the crawl settings of the pipeline config
+function configureRobots(crawlSettings) {
+  cacheHours = crawlSettings.robotsCacheHours;
+}
+
+// Parse robots.txt into groups of { agents, rules }; consecutive user-agent lines share a group
+function parseRobotsTxt(text = '') {
+  const groups = [];
+  let current = null;
+
+  for (const rawLine of text.substring(0, MAX_ROBOTS_SIZE).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+
+  return groups;
+}
+
+// Rules that apply to our product token: every group naming it, or else the * groups
+function selectRules(groups, productToken) {
+  const token = productToken.toLowerCase();
+  const own = groups.filter(group => group.agents.some(agent => agent !== '*' && token.startsWith(agent)));
+  const chosen = own.length > 0 ? own : groups.filter(group => group.agents.includes('*'));
+  return chosen.flatMap(group => group.rules);
+}
+
+// Robots path pattern -> RegExp (* matches anything, a trailing $ anchors the end)
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The longest matching rule decides; Allow wins a tie
+function isPathAllowed(rules, urlPath) {
+  if (urlPath === '/robots.txt') return true;
+
+  let decision = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(urlPath)) continue;
+    const length = rule.path.length;
+    if (!decision || length > decision.length || (length === decision.length && rule.allow)) {
+      decision = { allow: rule.allow, length };
+    }
+  }
+  return decision ? decision.allow : true;
+}
+
+// Load the per-host robots cache, starting fresh if it is missing or unreadable
+async function loadRobotsCache() {
+  if (cache) return cache;
+  try {
+    const data = JSON.parse(await fs.readFile(CACHE_PATH, 'utf-8'));
+    cache = { hosts: data.hosts || {} };
+  } catch (error) {
+    cache = { hosts: {} };
+  }
+  return cache;
+}
+
+// Start from an empty cache that is never saved, so record/replay runs fetch
+// (and record) every robots.txt instead of depending on data/robots-cache.json
+function useEphemeralRobotsCache() {
+  cache = { hosts: {} };
+  persist = false;
+}
+
+// Persist the robots cache next to the other data files; false when there is nothing to save
+async function saveRobotsCache() {
+  if (!cache || !persist) return false;
+  const hosts = Object.fromEntries(Object.entries(cache.hosts).filter(([, entry]) => !entry.unreachable));
+  const output = {
+    updatedAt: new Date().toISOString(),
+    totalHosts: Object.keys(hosts).length,
+    hosts
+  };
+  await fs.mkdir(path.dirname(CACHE_PATH), { recursive: true });
+  await fs.writeFile(CACHE_PATH, JSON.stringify(output, null, 2));
+  return true;
+}
+
+function isFresh(entry, productToken) {
+  return entry && entry.agent === productToken.toLowerCase() &&
+    Date.now() - new Date(entry.fetchedAt).getTime() < cacheHours * 60 * 60 * 1000;
+}
+
+// Fetch robots.txt for an origin and reduce it to our rules. Following RFC 9309, a missing
+// robots.txt (4xx) allows everything and an unreachable one (5xx, network errors) disallows
+// everything - unless an earlier copy is cached, which is kept until the host answers again.
+async function refreshRobotsEntry(origin, productToken, fetchRobotsTxt) {
+  const previous = cache.hosts[origin];
+  let entry;
+  try {
+    const response = await fetchRobotsTxt(`${origin}/robots.txt`);
+    entry = {
+      fetchedAt: new Date().toISOString(),
+      agent: productToken.toLowerCase(),
+      status: response.status,
+      rules: response.status >= 400 ? [] : selectRules(parseRobotsTxt(response.body), productToken)
+    };
+  } catch (error) {
+    if (previous && !previous.unreachable) return previous;
+    // Not saved, a later run asks again
+    entry = {
+      fetchedAt: new Date().toISOString(),
+      agent: productToken.toLowerCase(),
+      status: error.response?.status ?? null,
+      unreachable: true,
+      rules: [{ allow: false, path: '/' }]
+    };
+  }
+  cache.hosts[origin] = entry;
+  return entry;
+}
+
+// Whether robots.txt lets productToken fetch url. fetchRobotsTxt(url) -> { status, body }
+// is supplied by the HTTP layer; lookups are cached per origin across runs.
+async function isAllowedByRobots(url, productToken, fetchRobotsTxt) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return true;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return true;
+
+  await loadRobotsCache();
+  const origin = parsed.origin;
+  let entry = cache.hosts[origin];
+  if (!refreshed.has(origin) && !isFresh(entry, productToken)) {
+    if (!pending.has(origin)) {
+      pending.set(origin, refreshRobotsEntry(origin, productToken, fetchRobotsTxt).finally(() => {
+        pending.delete(origin);
+        refreshed.add(origin);
+      }));
+    }
+    entry = await pending.get(origin);
+  }
+
+  return isPathAllowed(entry.rules, `${parsed.pathname}${parsed.search}`);
+}
+
+export { configureRobots, parseRobotsTxt, selectRules, isPathAllowed, isAllowedByRobots, loadRobotsCache, saveRobotsCache, useEphemeralRobotsCache };
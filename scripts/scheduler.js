@@ -0,0 +1,114 @@
+// Request scheduling for the crawler: per-host concurrency and spacing for every
+// request made through scripts/http.js, plus a worker pool for crawl-level parallelism.
+import { defaultConfig } from './config.js';
+
+// Limits of any other host, crawl.hostConcurrency and crawl.hostMinIntervalMs (see configureScheduler)
+let defaultHostLimits = hostLimitsOf(defaultConfig().crawl);
+
+// Sites serving many of our sources, with their own stricter limits. The site and all of
+// its subdomains share one limit. Reddit answers bursts of unauthenticated feed requests with 429s.
+const HOST_LIMITS = {
+  'reddit.com': { concurrency: 1, minIntervalMs: 2000 },
+  'medium.com': { concurrency: 1, minIntervalMs: 1000 }
+};
+
+const hosts = new Map();
+
+// Limiter key of a URL: the site of HOST_LIMITS it belongs to (old.reddit.com and www.reddit.com
+// share reddit.com's limit), otherwise the full hostname. Unrelated sites under one public
+// suffix (*.github.io, *.blogspot.com, *.co.uk) are never grouped.
+function hostKey(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return 'invalid';
+  }
+  const site = Object.keys(HOST_LIMITS).find(name => hostname === name || hostname.endsWith(`.${name}`));
+  return site || hostname;
+}
+
+function hostLimitsOf(crawlSettings) {
+  return { concurrency: crawlSettings.hostConcurrency, minIntervalMs: crawlSettings.hostMinIntervalMs };
+}
+
+// Take the default host limits from the crawl settings of the pipeline config. Hosts
+// already requested keep the limits they started with.
+function configureScheduler(crawlSettings) {
+  defaultHostLimits = hostLimitsOf(crawlSettings);
+}
+
+function getHostState(url) {
+  const key = hostKey(url);
+  if (!hosts.has(key)) {
+    hosts.set(key, {
+      key,
+      limits: { ...defaultHostLimits, ...HOST_LIMITS[key] },
+      active: 0,
+      queue: [],
+      nextStartAt: 0,
+      timer: null
+    });
+  }
+  return hosts.get(key);
+}
+
+// Start queued requests while the host has free slots and its spacing allows it
+function pump(state) {
+  if (state.timer) return;
+  while (state.active < state.limits.concurrency && state.queue.length > 0) {
+    const wait = state.nextStartAt - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        pump(state);
+      }, wait);
+      return;
+    }
+
+    const job = state.queue.shift();
+    state.active++;
+    state.nextStartAt = Date.now() + state.limits.minIntervalMs;
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        state.active--;
+        pump(state);
+      });
+  }
+}
+
+// Run a request task within the limits of the URL's host
+function scheduleForHost(url, task) {
+  const state = getHostState(url);
+  return new Promise((resolve, reject) => {
+    state.queue.push({ task, resolve, reject });
+    pump(state);
+  });
+}
+
+// Hold back every request to a host, e.g. after it answered with Retry-After
+function deferHost(url, delayMs) {
+  const state = getHostState(url);
+  state.nextStartAt = Math.max(state.nextStartAt, Date.now() + delayMs);
+}
+
+// Run worker over items with at most `limit` in flight; results keep the input order.
+// Unlike fixed batches, one slow item only occupies its own slot.
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+
+  return results;
+}
+
+export { hostKey, configureScheduler, scheduleForHost, deferHost, runWithConcurrency };
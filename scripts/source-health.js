@@ -0,0 +1,192 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, defaultConfig } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HEALTH_PATH = path.join(__dirname, '../data/source-health.json');
+
+// Load the source health store, starting fresh if it is missing or unreadable. Sources are
+// quarantined after crawl.quarantineFailures failed runs in a row, and then retried at most
+// once every crawl.quarantineRetryHours.
+async function loadSourceHealth(crawlSettings = defaultConfig().crawl) {
+  const limits = {
+    quarantineFailures: crawlSettings.quarantineFailures,
+    quarantineRetryHours: crawlSettings.quarantineRetryHours
+  };
+  try {
+    const health = JSON.parse(await fs.readFile(HEALTH_PATH, 'utf-8'));
+    return { ...health, ...limits, sources: health.sources || {} };
+  } catch (error) {
+    return { ...limits, sources: {} };
+  }
+}
+
+// Persist the health store with summary counts for quick inspection
+async function saveSourceHealth(health) {
+  const entries = Object.values(health.sources);
+  const output = {
+    updatedAt: new Date().toISOString(),
+    totalSources: entries.length,
+    quarantinedSources: entries.filter(entry => entry.quarantined).length,
+    quarantineFailures: health.quarantineFailures,
+    quarantineRetryHours: health.quarantineRetryHours,
+    sources: health.sources
+  };
+  await fs.mkdir(path.dirname(HEALTH_PATH), { recursive: true });
+  await fs.writeFile(HEALTH_PATH, JSON.stringify(output, null, 2));
+}
+
+function getEntry(health, source) {
+  if (!health.sources[source.url]) {
+    health.sources[source.url] = {
+      name: source.name,
+      category: source.category,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastStatus: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      totalRuns: 0,
+      totalFailures: 0,
+      parseErrors: 0,
+      successfulRuns: 0,
+      avgItemsKept: 0,
+      quarantined: false,
+      quarantinedAt: null,
+      nextRetryAt: null
+    };
+  }
+  const entry = health.sources[source.url];
+  entry.name = source.name;
+  entry.category = source.category;
+  return entry;
+}
+
+// Whether a source should be crawled this run (quarantined sources only once their retry is due)
+function shouldCrawlSource(health, source, now = new Date()) {
+  const entry = health.sources[source.url];
+  if (!entry || !entry.quarantined) return true;
+  return !entry.nextRetryAt || new Date(entry.nextRetryAt) <= now;
+}
+
+// Record a successful crawl. itemsKept is omitted for unchanged (304) feeds so
+// the average only reflects runs that actually delivered content.
+function recordSourceSuccess(health, source, { status = 200, itemsKept = null } = {}) {
+  const entry = getEntry(health, source);
+  const wasQuarantined = entry.quarantined;
+
+  entry.totalRuns++;
+  entry.lastSuccessAt = new Date().toISOString();
+  entry.lastStatus = status;
+  entry.lastError = null;
+  entry.consecutiveFailures = 0;
+  entry.quarantined = false;
+  entry.quarantinedAt = null;
+  entry.nextRetryAt = null;
+
+  if (itemsKept !== null) {
+    entry.avgItemsKept = Number(((entry.avgItemsKept * entry.successfulRuns + itemsKept) / (entry.successfulRuns + 1)).toFixed(2));
+    entry.successfulRuns++;
+  }
+
+  if (wasQuarantined) {
+    console.log(`💚 ${source.name}: recovered, released from quarantine`);
+  }
+}
+
+// Record a failed crawl and quarantine the source after too many failures in a row
+function recordSourceFailure(health, source, { status = null, error = '', parseError = false } = {}) {
+  const entry = getEntry(health, source);
+  const now = new Date();
+
+  entry.totalRuns++;
+  entry.totalFailures++;
+  entry.consecutiveFailures++;
+  entry.lastFailureAt = now.toISOString();
+  entry.lastStatus = status;
+  entry.lastError = String(error).split('\n')[0]; // xml parser errors append line/column details
+  if (parseError) entry.parseErrors++;
+
+  if (entry.consecutiveFailures >= health.quarantineFailures) {
+    if (!entry.quarantined) {
+      entry.quarantined = true;
+      entry.quarantinedAt = now.toISOString();
+      console.log(`🚧 ${source.name}: quarantined after ${entry.consecutiveFailures} consecutive failures`);
+    }
+    entry.nextRetryAt = new Date(now.getTime() + health.quarantineRetryHours * 60 * 60 * 1000).toISOString();
+  }
+}
+
+// Format an ISO timestamp relative to now for the report
+function formatAge(isoString) {
+  if (!isoString) return 'never';
+  const diffHours = (Date.now() - new Date(isoString).getTime()) / 3600000;
+  if (diffHours < 1) return `${Math.max(0, Math.round(diffHours * 60))}m ago`;
+  if (diffHours < 48) return `${Math.round(diffHours)}h ago`;
+  return `${Math.round(diffHours / 24)}d ago`;
+}
+
+// Print a health report, worst sources first
+async function printHealthReport() {
+  const health = await loadSourceHealth((await loadConfig()).crawl);
+  const entries = Object.entries(health.sources).map(([url, entry]) => ({ url, ...entry }));
+
+  if (entries.length === 0) {
+    console.log('📋 No source health data yet - run `npm run crawl` first');
+    return;
+  }
+
+  const statusOf = entry => entry.quarantined ? 'quarantined' : entry.consecutiveFailures > 0 ? 'failing' : 'healthy';
+  const rank = { quarantined: 0, failing: 1, healthy: 2 };
+  const icons = { quarantined: '🚧', failing: '⚠️', healthy: '✅' };
+
+  entries.sort((a, b) =>
+    rank[statusOf(a)] - rank[statusOf(b)] ||
+    b.consecutiveFailures - a.consecutiveFailures ||
+    a.name.localeCompare(b.name)
+  );
+
+  console.log(`🩺 Source health report (updated ${formatAge(health.updatedAt)})\n`);
+  for (const entry of entries) {
+    const status = statusOf(entry);
+    const details = [
+      `last success ${formatAge(entry.lastSuccessAt)}`,
+      `HTTP ${entry.lastStatus ?? '-'}`,
+      `avg kept ${entry.avgItemsKept}`
+    ];
+    if (entry.consecutiveFailures > 0) details.push(`${entry.consecutiveFailures} failures in a row`);
+    if (entry.parseErrors > 0) details.push(`${entry.parseErrors} parse errors`);
+    if (entry.quarantined) details.push(`retry ${entry.nextRetryAt ? `after ${entry.nextRetryAt}` : 'next run'}`);
+
+    console.log(`${icons[status]} ${entry.name} [${entry.category || 'unknown'}] - ${details.join(', ')}`);
+    if (status !== 'healthy' && entry.lastError) {
+      console.log(`    ↳ ${entry.lastError}`);
+    }
+  }
+
+  const counts = entries.reduce((acc, entry) => {
+    acc[statusOf(entry)]++;
+    return acc;
+  }, { quarantined: 0, failing: 0, healthy: 0 });
+
+  console.log(`\n📊 ${entries.length} sources: ${counts.healthy} healthy, ${counts.failing} failing, ${counts.quarantined} quarantined`);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  printHealthReport().catch(error => {
+    console.error('❌ Health report failed:', error);
+    process.exit(1);
+  });
+}
+
+export {
+  loadSourceHealth,
+  saveSourceHealth,
+  shouldCrawlSource,
+  recordSourceSuccess,
+  recordSourceFailure
+};
@@ -0,0 +1,78 @@
+import { defaultConfig } from './config.js';
+
+// Crawl policy fields accepted on sources.json entries and in category_defaults
+const POLICY_FIELDS = ['itemLimit', 'maxAgeDays', 'includeKeywords', 'excludeKeywords', 'minConfidence', 'skipAIFilter', 'minScore', 'excludeFlairs'];
+
+// Fallback for categories without an entry in category_defaults
+const DEFAULT_POLICY = {
+  itemLimit: 20,
+  maxAgeDays: 7,
+  includeKeywords: [],
+  excludeKeywords: [],
+  minConfidence: null, // null = use the global confidence threshold
+  skipAIFilter: false,
+  minScore: 0, // reddit and hackernews sources: posts below this score (points) are skipped
+  excludeFlairs: [] // reddit sources: posts with these flairs are skipped
+};
+
+// Copy only the policy fields that are actually set
+function pickPolicyFields(entry = {}) {
+  const picked = {};
+  for (const field of POLICY_FIELDS) {
+    if (entry[field] !== undefined) picked[field] = entry[field];
+  }
+  return picked;
+}
+
+// Resolve the effective policy: built-in default < category default < source entry.
+// maxAgeDays is capped at windowDays, the rolling archive window (process.windowDays).
+function resolveSourcePolicy(source, categoryDefaults = {}, windowDays = defaultConfig().process.windowDays) {
+  const policy = {
+    ...DEFAULT_POLICY,
+    ...pickPolicyFields(categoryDefaults[source.category]),
+    ...pickPolicyFields(source)
+  };
+
+  // Older items would fall out of the archive on their first processing run
+  policy.maxAgeDays = Math.min(policy.maxAgeDays, windowDays);
+  policy.includeKeywords = policy.includeKeywords.map(keyword => keyword.toLowerCase());
+  policy.excludeKeywords = policy.excludeKeywords.map(keyword => keyword.toLowerCase());
+  policy.excludeFlairs = policy.excludeFlairs.map(flair => flair.toLowerCase());
+
+  return policy;
+}
+
+// Apply the include/exclude keyword lists of a policy to an item's text
+function checkPolicyKeywords(policy, text) {
+  const textLower = text.toLowerCase();
+
+  const excluded = policy.excludeKeywords.find(keyword => textLower.includes(keyword));
+  if (excluded) return { allowed: false, reason: `excluded keyword "${excluded}"` };
+
+  if (policy.includeKeywords.length > 0 && !policy.includeKeywords.some(keyword => textLower.includes(keyword))) {
+    return { allowed: false, reason: 'no include keyword matched' };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+// Apply the score and flair rules of a policy to a reddit post
+function checkRedditRules(policy, reddit) {
+  if (reddit.score < policy.minScore) {
+    return { allowed: false, reason: `score ${reddit.score} < ${policy.minScore}` };
+  }
+  if (reddit.flair && policy.excludeFlairs.includes(reddit.flair.toLowerCase())) {
+    return { allowed: false, reason: `excluded flair "${reddit.flair}"` };
+  }
+  return { allowed: true, reason: null };
+}
+
+// Apply the points threshold of a policy to a Hacker News story
+function checkHackerNewsRules(policy, hackernews) {
+  if (hackernews.points < policy.minScore) {
+    return { allowed: false, reason: `${hackernews.points} points < ${policy.minScore}` };
+  }
+  return { allowed: true, reason: null };
+}
+
+export { POLICY_FIELDS, DEFAULT_POLICY, resolveSourcePolicy, checkPolicyKeywords, checkRedditRules, checkHackerNewsRules };
@@ -0,0 +1,230 @@
+import { parse } from 'node-html-parser';
+import { configureHttp, fetchText } from './http.js';
+import { detectFeedFormat, parseFeed, htmlToText } from './feed-formats.js';
+import { initializeAIFilter, closeAIFilter, isAIRelevantAI } from './ai-filter.js';
+import { loadRelevanceRules, evaluateRelevance } from './relevance-rules.js';
+import { loadConfig } from './config.js';
+import {
+  SOURCE_GROUPS,
+  CATEGORIES,
+  PRIORITIES,
+  TYPE_CATEGORIES,
+  DEFAULT_CATEGORY,
+  DEFAULT_PRIORITY,
+  readSourcesConfig,
+  sourceUrlKey,
+  sourceFromFeedUrl,
+  groupForSource,
+  appendSources
+} from './sources-config.js';
+
+// Content types of <link rel="alternate"> elements that point at a feed
+const FEED_LINK_TYPES = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/rdf+xml',
+  'application/feed+json',
+  'application/json'
+];
+
+// Tried when a page doesn't announce its feeds, under the page's path and the site root
+const COMMON_FEED_PATHS = ['feed', 'rss', 'rss.xml', 'feed.xml', 'atom.xml', 'index.xml', 'feed.json'];
+
+// Latest items shown (and scored) per candidate feed
+const PREVIEW_ITEMS = 5;
+
+// Feeds a page announces with <link rel="alternate" type="application/rss+xml" href="...">
+function findAlternateFeeds(html, pageUrl) {
+  return parse(html).querySelectorAll('link')
+    .filter(link => (link.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('alternate'))
+    .filter(link => FEED_LINK_TYPES.includes((link.getAttribute('type') || '').split(';')[0].trim().toLowerCase()))
+    .map(link => {
+      try {
+        return { url: new URL(link.getAttribute('href'), pageUrl).toString(), title: link.getAttribute('title') || null };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Common feed locations below the page (https://example.com/blog/feed) and at the site root
+function commonFeedUrls(pageUrl) {
+  const page = new URL(pageUrl);
+  // /blog and /blog/ both mean the blog; /blog/index.html means its directory
+  const directory = /\/[^/]+\.[a-z]+$/i.test(page.pathname) ? page.pathname.replace(/[^/]+$/, '') : page.pathname.replace(/\/?$/, '/');
+  const bases = [directory, '/'];
+  return [...new Set(bases.flatMap(base => COMMON_FEED_PATHS.map(feedPath => new URL(`${base}${feedPath}`, page.origin).toString())))];
+}
+
+// Candidate feeds of a site: the URL itself when it already is a feed, else the feeds the page
+// announces, else the common feed paths. Fallbacks are only listed if the page announces none.
+async function discoverFeeds(siteUrl) {
+  const page = await fetchText(siteUrl);
+  if (detectFeedFormat(page.body, page.headers.contentType || '') !== 'html') {
+    return { candidates: [{ url: siteUrl, title: null, response: page }], announced: true };
+  }
+
+  const alternates = [...new Map(findAlternateFeeds(page.body, siteUrl).map(feed => [feed.url, feed])).values()];
+  if (alternates.length > 0) return { candidates: alternates, announced: true };
+
+  return { candidates: commonFeedUrls(siteUrl).map(url => ({ url, title: null })), announced: false };
+}
+
+// Fetch and parse a candidate feed. Resolves with { feed } or { error }, never rejects.
+async function testFeed(candidate) {
+  try {
+    const response = candidate.response || await fetchText(candidate.url);
+    return { feed: await parseFeed(response.body, response.headers.contentType) };
+  } catch (error) {
+    if (error.code === 'ROBOTS_DISALLOWED') return { error: 'disallowed by robots.txt' };
+    return { error: error.response ? `HTTP ${error.response.status}` : error.message };
+  }
+}
+
+// AI relevance of a feed item the way the crawler judges it: classifier confidence against
+// crawl.confidenceThreshold when the model is loaded, the keyword rules otherwise
+async function scoreItem(item, source, { useAIFilter, relevanceRules, confidenceThreshold }) {
+  const title = (item.title || '').replace(/\s+/g, ' ').trim();
+  const description = (item.summary || htmlToText(item.content)).substring(0, 200);
+
+  const aiResult = useAIFilter ? await isAIRelevantAI(title, description) : null;
+  if (aiResult) {
+    return {
+      title,
+      relevant: aiResult.isRelevant && aiResult.confidence >= confidenceThreshold,
+      label: `${(aiResult.confidence * 100).toFixed(0)}% AI`
+    };
+  }
+  const { relevant, decidedBy } = evaluateRelevance(relevanceRules, title, source);
+  return { title, relevant, label: decidedBy ? `${decidedBy.list === 'exclude' ? '-' : '+'}${decidedBy.term}` : 'no rule' };
+}
+
+// Discover the feeds of a site, preview each one and append the chosen one to sources.json.
+// options: feed (1-based candidate to add, default the first that parses), name, category,
+// priority, dryRun (preview only).
+async function addSource(siteUrl, options = {}) {
+  const { dryRun = false } = options;
+  if (options.category && !CATEGORIES.includes(options.category)) {
+    throw new Error(`Unknown category "${options.category}" (expected one of: ${CATEGORIES.join(', ')})`);
+  }
+  if (options.priority && !PRIORITIES.includes(options.priority)) {
+    throw new Error(`Unknown priority "${options.priority}" (expected one of: ${PRIORITIES.join(', ')})`);
+  }
+
+  const crawlSettings = (await loadConfig()).crawl;
+  configureHttp(crawlSettings);
+
+  console.log(`🔎 Looking for feeds on ${siteUrl}`);
+  const { candidates, announced } = await discoverFeeds(siteUrl);
+  if (!announced) console.log(`⚠️ No <link rel="alternate"> feeds on the page, trying ${candidates.length} common feed paths`);
+
+  const config = await readSourcesConfig();
+  const existing = new Map();
+  for (const group of SOURCE_GROUPS) {
+    (config[group] || []).forEach(source => existing.set(sourceUrlKey(source.url), `${group}: "${source.name}"`));
+  }
+
+  const relevanceRules = await loadRelevanceRules();
+  const useAIFilter = await initializeAIFilter(crawlSettings);
+  const feeds = [];
+  try {
+    for (const candidate of candidates) {
+      const { feed, error } = await testFeed(candidate);
+      if (error) {
+        // Missing fallback paths are expected, only announced feeds are worth reporting
+        if (announced) console.log(`✗ ${candidate.url}: ${error}`);
+        continue;
+      }
+
+      const number = feeds.length + 1;
+      const name = (feed.title || candidate.title || new URL(siteUrl).hostname).trim();
+      feeds.push({ ...candidate, name, feed });
+
+      const duplicate = existing.get(sourceUrlKey(sourceFromFeedUrl(candidate.url).url));
+      console.log(`\n${number}. ${name} - ${candidate.url} (${feed.format}, ${feed.items.length} items)${duplicate ? `\n   ⚠️ Already in ${duplicate}` : ''}`);
+      const scores = await Promise.all(feed.items.slice(0, PREVIEW_ITEMS).map(item =>
+        scoreItem(item, { name, category: options.category }, { useAIFilter, relevanceRules, confidenceThreshold: crawlSettings.confidenceThreshold })
+      ));
+      for (const score of scores) {
+        console.log(`   ${score.relevant ? '✅' : '❌'} ${score.label.padEnd(16)} ${score.title.substring(0, 80)}`);
+      }
+    }
+  } finally {
+    await closeAIFilter();
+  }
+  console.log('');
+
+  if (feeds.length === 0) throw new Error(`No working feed found for ${siteUrl}`);
+
+  const chosen = options.feed ? feeds[options.feed - 1] : feeds[0];
+  if (!chosen) throw new Error(`There is no feed ${options.feed} (found ${feeds.length})`);
+
+  const { url, type } = sourceFromFeedUrl(chosen.url);
+  const duplicate = existing.get(sourceUrlKey(url));
+  if (duplicate) throw new Error(`${url} is already in ${duplicate}`);
+
+  const category = options.category || TYPE_CATEGORIES[type] || null;
+  const entry = {
+    name: options.name || chosen.name,
+    url,
+    ...(type && { type }),
+    category: category || DEFAULT_CATEGORY,
+    priority: options.priority || DEFAULT_PRIORITY
+  };
+  const group = groupForSource(entry);
+
+  console.log(`➕ ${group}: "${entry.name}" (${entry.category}, ${entry.priority}${entry.type ? `, ${entry.type}` : ''})`);
+  if (!category) console.log(`   ❓ No category given, using "${DEFAULT_CATEGORY}" - pass --category to choose one`);
+  if (feeds.length > 1 && !options.feed) console.log(`   Picked feed 1 of ${feeds.length} - pass --feed <n> for another`);
+
+  if (dryRun) {
+    console.log('🔍 Dry run - sources.json not changed');
+    return { entry, group, added: false };
+  }
+
+  await appendSources({ [group]: [entry] });
+  console.log(`💾 Added "${entry.name}" to sources.json`);
+  return { entry, group, added: true };
+}
+
+// --feed <n> --name <name> --category <category> --priority <priority> --dry-run
+function parseAddArgs(args) {
+  const options = {};
+  const urls = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (['--feed', '--name', '--category', '--priority'].includes(arg)) {
+      const value = args[++i];
+      if (!value) throw new Error(`${arg} needs a value`);
+      options[arg.slice(2)] = arg === '--feed' ? parseInt(value) : value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      urls.push(arg);
+    }
+  }
+  if (urls.length !== 1) throw new Error('Usage: npm run sources:add -- <site-url> [--feed <n>] [--name <name>] [--category <category>] [--priority <priority>] [--dry-run]');
+  if (options.feed !== undefined && !(options.feed >= 1)) throw new Error('--feed needs a feed number from the list');
+
+  // Bare domains are common when pasting a site
+  const siteUrl = /^https?:\/\//i.test(urls[0]) ? urls[0] : `https://${urls[0]}`;
+  return { siteUrl, options };
+}
+
+// Run if called directly: node scripts/sources-add.js <site-url> [options]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(() => {
+      const { siteUrl, options } = parseAddArgs(process.argv.slice(2));
+      return addSource(siteUrl, options);
+    })
+    .catch(error => {
+      console.error('❌ Adding source failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { findAlternateFeeds, discoverFeeds, addSource };
@@ -0,0 +1,391 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveSourcePolicy } from './source-policy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SOURCES_PATH = path.join(__dirname, '../sources.json');
+
+// Source groups the crawler loads, in crawl order. A group missing here is never crawled.
+const SOURCE_GROUPS = [
+  'sources',
+  'medium_blogs',
+  'reddit_sources',
+  'youtube_channels',
+  'newsletters',
+  'developer_blogs',
+  'github_releases',
+  'academic_sources',
+  'getting_started',
+  'business_news'
+];
+
+// Non-group top-level keys
+const CONFIG_KEYS = ['category_defaults'];
+
+const CATEGORIES = [
+  'company', 'news', 'tools', 'safety', 'cloud', 'tutorial', 'medium', 'youtube',
+  'reddit', 'newsletter', 'developer', 'research', 'business', 'community', 'agentic'
+];
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Source adapters; entries without a type are feeds
+const SOURCE_TYPES = ['rss', 'html', 'reddit', 'hackernews', 'arxiv', 'youtube', 'github-releases'];
+
+// Group that new sources of a category are added to; other categories go to "sources"
+const CATEGORY_GROUPS = {
+  medium: 'medium_blogs',
+  youtube: 'youtube_channels',
+  reddit: 'reddit_sources',
+  newsletter: 'newsletters',
+  developer: 'developer_blogs',
+  research: 'academic_sources',
+  tutorial: 'getting_started',
+  business: 'business_news'
+};
+
+// CSS selectors of an html source (see scripts/adapters/html.js)
+const SELECTOR_FIELDS = ['item', 'title', 'link', 'date', 'summary'];
+
+// Crawl policy fields, allowed on source entries and in category_defaults
+const POLICY_SCHEMA = {
+  itemLimit: { type: 'integer', min: 1 },
+  maxAgeDays: { type: 'number', min: 1 },
+  includeKeywords: { type: 'string[]' },
+  excludeKeywords: { type: 'string[]' },
+  minConfidence: { type: 'number', min: 0, max: 1 },
+  skipAIFilter: { type: 'boolean' },
+  minScore: { type: 'integer', min: 0 },
+  excludeFlairs: { type: 'string[]' }
+};
+
+// Formal schema of a single source entry
+const SOURCE_SCHEMA = {
+  name: { type: 'string', required: true },
+  url: { type: 'url', required: true },
+  category: { type: 'string', required: true, enum: CATEGORIES },
+  priority: { type: 'string', required: true, enum: PRIORITIES },
+  type: { type: 'string', enum: SOURCE_TYPES },
+  selectors: { type: 'selectors' },
+  ...POLICY_SCHEMA
+};
+
+// Check one value against a field rule, returning an error message or null
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) return 'must be a non-empty string';
+      break;
+    case 'url':
+      try {
+        const { protocol } = new URL(value);
+        if (protocol !== 'http:' && protocol !== 'https:') return 'must be an http(s) URL';
+      } catch {
+        return 'must be a valid URL';
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return 'must be a number';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return 'must be an array of strings';
+      break;
+    case 'selectors':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object of CSS selectors';
+      if (typeof value.item !== 'string' || !value.item.trim()) return 'must define an "item" selector';
+      for (const [key, selector] of Object.entries(value)) {
+        if (!SELECTOR_FIELDS.includes(key)) return `unknown selector "${key}" (allowed: ${SELECTOR_FIELDS.join(', ')})`;
+        if (typeof selector !== 'string') return `selector "${key}" must be a string`;
+      }
+      break;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+  if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+  return null;
+}
+
+// Validate an object against a schema, pushing "path: message" issues
+function checkObject(entry, schema, location, errors) {
+  for (const [field, rule] of Object.entries(schema)) {
+    if (entry[field] === undefined) {
+      if (rule.required) errors.push(`${location}: missing required field "${field}"`);
+      continue;
+    }
+    const problem = checkField(entry[field], rule);
+    if (problem) errors.push(`${location}.${field}: ${problem}`);
+  }
+  for (const field of Object.keys(entry)) {
+    if (!schema[field]) errors.push(`${location}: unknown field "${field}"`);
+  }
+}
+
+// Comparison key of a source url: http/https, www. and trailing slashes don't make a different source
+function sourceUrlKey(url) {
+  return url.trim().toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+}
+
+// Source url and type for a feed url from elsewhere (OPML, discovery). Feeds that have an
+// adapter are stored the way that adapter expects: subreddits and repositories by their page.
+function sourceFromFeedUrl(feedUrl) {
+  const subreddit = feedUrl.match(/reddit\.com\/r\/([^/?#.]+)/i);
+  if (subreddit) return { url: `https://www.reddit.com/r/${subreddit[1]}/`, type: 'reddit' };
+
+  const repository = feedUrl.match(/github\.com\/([^/?#]+)\/([^/?#]+)\/releases(?:\.atom)?(?:$|[?#])/i);
+  if (repository) return { url: `https://github.com/${repository[1]}/${repository[2]}`, type: 'github-releases' };
+
+  if (/youtube\.com\/feeds\/videos\.xml\?/i.test(feedUrl)) return { url: feedUrl, type: 'youtube' };
+  if (/arxiv\.org\/(rss|api)\//i.test(feedUrl)) return { url: feedUrl, type: 'arxiv' };
+  if (/news\.ycombinator\.com|hnrss\.org\/frontpage/i.test(feedUrl)) return { url: 'https://news.ycombinator.com/', type: 'hackernews' };
+  return { url: feedUrl, type: null };
+}
+
+// Category implied by an adapter type, ahead of anything a feed list says
+const TYPE_CATEGORIES = {
+  reddit: 'reddit',
+  hackernews: 'community',
+  arxiv: 'research',
+  youtube: 'youtube',
+  'github-releases': 'developer'
+};
+
+// Category and priority of added sources when nothing says otherwise
+const DEFAULT_CATEGORY = 'news';
+const DEFAULT_PRIORITY = 'medium';
+
+// Group a new source belongs in
+function groupForSource(source) {
+  if (source.type === 'github-releases') return 'github_releases';
+  return CATEGORY_GROUPS[source.category] || 'sources';
+}
+
+// Validate a parsed sources.json. Errors make the config unusable; warnings are advisory.
+function validateSourcesConfig(config) {
+  const errors = [];
+  const warnings = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { errors: ['sources.json: top level must be an object'], warnings };
+  }
+
+  for (const key of Object.keys(config)) {
+    if (SOURCE_GROUPS.includes(key) || CONFIG_KEYS.includes(key)) continue;
+    if (Array.isArray(config[key])) {
+      errors.push(`${key}: unreferenced group - it is never crawled (add it to SOURCE_GROUPS in scripts/sources-config.js)`);
+    } else {
+      errors.push(`${key}: unknown top-level key`);
+    }
+  }
+
+  const defaults = config.category_defaults || {};
+  for (const [category, policy] of Object.entries(defaults)) {
+    const location = `category_defaults.${category}`;
+    if (!CATEGORIES.includes(category)) errors.push(`${location}: unknown category`);
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      errors.push(`${location}: must be an object`);
+      continue;
+    }
+    checkObject(policy, POLICY_SCHEMA, location, errors);
+  }
+
+  const urls = new Map();
+  const names = new Map();
+
+  for (const group of SOURCE_GROUPS) {
+    if (config[group] === undefined) continue;
+    if (!Array.isArray(config[group])) {
+      errors.push(`${group}: must be an array`);
+      continue;
+    }
+    if (config[group].length === 0) warnings.push(`${group}: group is empty`);
+
+    config[group].forEach((entry, index) => {
+      const location = `${group}[${index}]`;
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push(`${location}: must be an object`);
+        return;
+      }
+      checkObject(entry, SOURCE_SCHEMA, location, errors);
+      if (entry.type === 'html' && entry.selectors === undefined) errors.push(`${location}: html sources need "selectors"`);
+      if (entry.selectors !== undefined && entry.type !== 'html') errors.push(`${location}: "selectors" only apply to type "html"`);
+      if (entry.type === 'reddit' && typeof entry.url === 'string' && !/\/r\/[^/?#]+/i.test(entry.url)) {
+        errors.push(`${location}: reddit sources need a subreddit url like https://www.reddit.com/r/<name>/`);
+      }
+      if (entry.type === 'youtube' && typeof entry.url === 'string' && !/[?&](channel_id|playlist_id|user)=/.test(entry.url)) {
+        errors.push(`${location}: youtube sources need a feed url like https://www.youtube.com/feeds/videos.xml?channel_id=<id>`);
+      }
+      if (entry.type === 'github-releases' && typeof entry.url === 'string' && !/github\.com\/[^/?#]+\/[^/?#]+/i.test(entry.url)) {
+        errors.push(`${location}: github-releases sources need a repository url like https://github.com/<owner>/<repo>`);
+      }
+      if (entry.minScore !== undefined && entry.type !== 'reddit' && entry.type !== 'hackernews') {
+        warnings.push(`${location}: "minScore" only applies to types "reddit" and "hackernews"`);
+      }
+      if (entry.excludeFlairs !== undefined && entry.type !== 'reddit') {
+        warnings.push(`${location}: "excludeFlairs" only applies to type "reddit"`);
+      }
+
+      if (typeof entry.url === 'string') {
+        const key = sourceUrlKey(entry.url);
+        if (urls.has(key)) errors.push(`${location}: duplicate url ${entry.url} (also ${urls.get(key)})`);
+        else urls.set(key, location);
+      }
+      if (typeof entry.name === 'string') {
+        if (names.has(entry.name)) warnings.push(`${location}: duplicate name "${entry.name}" (also ${names.get(entry.name)})`);
+        else names.set(entry.name, location);
+      }
+    });
+  }
+
+  if (urls.size === 0) errors.push('sources.json: no sources defined');
+
+  return { errors, warnings };
+}
+
+// Read and parse sources.json
+async function readSourcesConfig() {
+  return JSON.parse(await fs.readFile(SOURCES_PATH, 'utf-8'));
+}
+
+// Entry as it appears in sources.json, indented for a group array
+function formatSourceEntry(entry) {
+  return JSON.stringify(entry, null, 2).split('\n').map(line => `    ${line}`).join('\n');
+}
+
+// Append entries to a group in the text of sources.json, leaving the rest of the file's
+// formatting alone. A missing group is added at the end.
+function appendToGroupText(text, group, entries) {
+  const formatted = entries.map(formatSourceEntry).join(',\n');
+  const start = text.match(new RegExp(`"${group}"\\s*:\\s*\\[`));
+  if (!start) {
+    const end = text.lastIndexOf('}');
+    const body = text.slice(0, end).replace(/\s*$/, '');
+    return `${body},\n  "${group}": [\n${formatted}\n  ]\n}\n`;
+  }
+
+  // Find the group's closing bracket, skipping brackets inside strings
+  let depth = 0;
+  let inString = false;
+  let index = start.index + start[0].length - 1;
+  for (; index < text.length; index++) {
+    const char = text[index];
+    if (inString) {
+      if (char === '\\') index++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) break;
+    }
+  }
+
+  const before = text.slice(0, index).replace(/\s*$/, '');
+  const isEmpty = before.endsWith('[');
+  return `${before}${isEmpty ? '' : ','}\n${formatted}\n  ${text.slice(index)}`;
+}
+
+// Add sources to their groups in sources.json, refusing changes that would make it invalid.
+// additions: { group: [entries] }
+async function appendSources(additions) {
+  let text = await fs.readFile(SOURCES_PATH, 'utf-8');
+  for (const [group, entries] of Object.entries(additions)) {
+    if (entries.length > 0) text = appendToGroupText(text, group, entries);
+  }
+
+  const { errors } = validateSourcesConfig(JSON.parse(text));
+  if (errors.length > 0) {
+    throw new Error(`sources.json would become invalid:\n${errors.map(error => `  ✗ ${error}`).join('\n')}`);
+  }
+  await fs.writeFile(SOURCES_PATH, text);
+}
+
+// Flatten all groups into one list, each source with its effective crawl policy
+// (maxAgeDays capped at windowDays, see resolveSourcePolicy)
+function flattenSources(config, windowDays) {
+  const categoryDefaults = config.category_defaults || {};
+  return SOURCE_GROUPS.flatMap(group => config[group] || [])
+    .map(source => ({ ...source, policy: resolveSourcePolicy(source, categoryDefaults, windowDays) }));
+}
+
+// Load sources for crawling, refusing an invalid config. windowDays is process.windowDays.
+async function loadSources(windowDays) {
+  const config = await readSourcesConfig();
+  const { errors, warnings } = validateSourcesConfig(config);
+
+  warnings.forEach(warning => console.log(`⚠️ sources.json: ${warning}`));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`✗ sources.json: ${error}`));
+    throw new Error(`sources.json is invalid (${errors.length} errors) - run npm run sources:lint`);
+  }
+
+  return flattenSources(config, windowDays);
+}
+
+// Lint sources.json and print every issue
+async function lintSources() {
+  let config;
+  try {
+    config = await readSourcesConfig();
+  } catch (error) {
+    console.error(`❌ Could not read sources.json: ${error.message}`);
+    return false;
+  }
+
+  const { errors, warnings } = validateSourcesConfig(config);
+  const groupCounts = SOURCE_GROUPS
+    .filter(group => Array.isArray(config[group]))
+    .map(group => `${group} (${config[group].length})`);
+
+  console.log(`🔍 Linting sources.json: ${groupCounts.join(', ')}`);
+  errors.forEach(error => console.log(`✗ ${error}`));
+  warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+
+  if (errors.length === 0) {
+    console.log(`✅ sources.json is valid (${flattenSources(config).length} sources, ${warnings.length} warnings)`);
+    return true;
+  }
+  console.log(`❌ ${errors.length} errors, ${warnings.length} warnings`);
+  return false;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  lintSources()
+    .then(valid => process.exit(valid ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Lint failed:', error);
+      process.exit(1);
+    });
+}
+
+export {
+  SOURCES_PATH,
+  SOURCE_GROUPS,
+  CATEGORIES,
+  PRIORITIES,
+  SOURCE_TYPES,
+  SOURCE_SCHEMA,
+  CATEGORY_GROUPS,
+  TYPE_CATEGORIES,
+  DEFAULT_CATEGORY,
+  DEFAULT_PRIORITY,
+  validateSourcesConfig,
+  readSourcesConfig,
+  sourceUrlKey,
+  sourceFromFeedUrl,
+  groupForSource,
+  appendSources,
+  flattenSources,
+  loadSources
+};
@@ -0,0 +1,182 @@
+import { promises as fs } from 'fs';
+import { parseXml, childElements } from './xml.js';
+import {
+  SOURCE_GROUPS,
+  CATEGORIES,
+  PRIORITIES,
+  TYPE_CATEGORIES,
+  DEFAULT_CATEGORY,
+  DEFAULT_PRIORITY,
+  readSourcesConfig,
+  sourceUrlKey,
+  sourceFromFeedUrl,
+  groupForSource,
+  appendSources
+} from './sources-config.js';
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Our category for a label like "Research", "/reddit", "Newsletters" or "developer-tools"
+function matchCategory(label) {
+  const name = label.trim().toLowerCase().replace(/^\/+|\/+$/g, '');
+  if (CATEGORIES.includes(name)) return name;
+  if (name.endsWith('s') && CATEGORIES.includes(name.slice(0, -1))) return name.slice(0, -1);
+  return CATEGORIES.find(category => name.split(/[\s/_-]+/).includes(category)) || null;
+}
+
+// Feed outlines of an OPML document, with the titles of the folders they are in
+function collectFeedOutlines(element, folders = []) {
+  return childElements(element, 'outline').flatMap(outline => {
+    const title = outline.attributes.title || outline.attributes.text || '';
+    if (outline.attributes.xmlUrl) return [{ attributes: outline.attributes, folders }];
+    return collectFeedOutlines(outline, title ? [...folders, title] : folders);
+  });
+}
+
+// Map OPML feed outlines onto source entries. The category comes from the feed's adapter
+// type, the outline's category attribute (OPML's comma-separated "/path" list) or its folders;
+// priority from a priority attribute. Returns [{ group, entry, categorized }], where
+// categorized is false for feeds that got the default category.
+function opmlToSources(xml) {
+  const root = parseXml(xml);
+  const body = childElements(root, 'body')[0];
+  if (root?.name !== 'opml' || !body) throw new Error('Not an OPML document');
+
+  return collectFeedOutlines(body).map(({ attributes, folders }) => {
+    const labels = [
+      ...(attributes.category || '').split(',').flatMap(path => path.split('/').reverse()),
+      ...[...folders].reverse()
+    ].filter(label => label.trim());
+    const { url, type } = sourceFromFeedUrl(attributes.xmlUrl.trim());
+    const category = TYPE_CATEGORIES[type] || labels.map(matchCategory).find(Boolean) || null;
+
+    const entry = {
+      name: (attributes.title || attributes.text || new URL(url).hostname).trim(),
+      url,
+      ...(type && { type }),
+      category: category || DEFAULT_CATEGORY,
+      priority: PRIORITIES.includes(attributes.priority) ? attributes.priority : DEFAULT_PRIORITY
+    };
+    return { group: groupForSource(entry), entry, categorized: Boolean(category) };
+  });
+}
+
+// Import an OPML file into sources.json. Feeds already in sources.json (or twice in the
+// file) are reported and skipped; dryRun only prints what would be added.
+async function importOpml(file, { dryRun = false } = {}) {
+  const entries = opmlToSources(await fs.readFile(file, 'utf-8'));
+  const config = await readSourcesConfig();
+
+  const existing = new Map();
+  for (const group of SOURCE_GROUPS) {
+    (config[group] || []).forEach(source => existing.set(sourceUrlKey(source.url), `${group}: "${source.name}"`));
+  }
+
+  const additions = {};
+  let duplicates = 0;
+  for (const { group, entry, categorized } of entries) {
+    const key = sourceUrlKey(entry.url);
+    if (existing.has(key)) {
+      console.log(`⚠️ Duplicate: "${entry.name}" (${entry.url}) is already in ${existing.get(key)}`);
+      duplicates++;
+      continue;
+    }
+    existing.set(key, `${file}: "${entry.name}"`);
+    (additions[group] = additions[group] || []).push(entry);
+    console.log(`➕ ${group}: "${entry.name}" (${entry.category}, ${entry.priority}${entry.type ? `, ${entry.type}` : ''})`);
+    if (!categorized) console.log(`   ❓ No category found, using "${DEFAULT_CATEGORY}" - edit sources.json if that's wrong`);
+  }
+
+  const added = Object.values(additions).reduce((sum, list) => sum + list.length, 0);
+  console.log(`📥 ${entries.length} feeds in ${file}: ${added} new, ${duplicates} duplicates skipped`);
+  if (dryRun || added === 0) {
+    if (dryRun) console.log('🔍 Dry run - sources.json not changed');
+    return { added, duplicates };
+  }
+
+  await appendSources(additions);
+  console.log(`💾 Added ${added} sources to sources.json`);
+  return { added, duplicates };
+}
+
+// Feed a reader can subscribe to for a source; html sources have none and export as links
+function feedUrlForSource(source) {
+  switch (source.type) {
+    case 'reddit': return `${source.url.replace(/\/+$/, '')}/.rss`;
+    case 'github-releases': return `${source.url.replace(/\/+$/, '')}/releases.atom`;
+    case 'hackernews': return 'https://news.ycombinator.com/rss';
+    case 'html': return null;
+    default: return source.url;
+  }
+}
+
+// OPML 2.0 document of sources.json, one folder per group
+function sourcesToOpml(config, now = new Date()) {
+  const folders = SOURCE_GROUPS
+    .filter(group => Array.isArray(config[group]) && config[group].length > 0)
+    .map(group => {
+      const outlines = config[group].map(source => {
+        const feedUrl = feedUrlForSource(source);
+        const common = `text="${escapeAttribute(source.name)}" title="${escapeAttribute(source.name)}"`;
+        const meta = `category="${escapeAttribute(source.category)}" priority="${escapeAttribute(source.priority)}"`;
+        return feedUrl
+          ? `      <outline type="rss" ${common} xmlUrl="${escapeAttribute(feedUrl)}" ${meta}/>`
+          : `      <outline type="link" ${common} url="${escapeAttribute(source.url)}" ${meta}/>`;
+      });
+      return `    <outline text="${group}" title="${group}">\n${outlines.join('\n')}\n    </outline>`;
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    '    <title>AI News Daily sources</title>',
+    `    <dateCreated>${now.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...folders,
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+}
+
+// Export sources.json as OPML to a file, or to stdout when no file is given
+async function exportOpml(file = null) {
+  const opml = sourcesToOpml(await readSourcesConfig());
+  if (!file) {
+    process.stdout.write(opml);
+    return;
+  }
+  await fs.writeFile(file, opml);
+  console.log(`📤 Exported sources.json to ${file}`);
+}
+
+// Run if called directly: node scripts/sources-opml.js import <file.opml> [--dry-run] | export [file.opml]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command, ...args] = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  let run;
+  if (command === 'import' && files.length === 1) {
+    run = importOpml(files[0], { dryRun: args.includes('--dry-run') });
+  } else if (command === 'export' && files.length <= 1) {
+    run = exportOpml(files[0] || null);
+  } else {
+    console.error('Usage: npm run sources:import -- <file.opml> [--dry-run]\n       npm run sources:export [-- <file.opml>]');
+    process.exit(1);
+  }
+
+  run.catch(error => {
+    console.error(`❌ OPML ${command} failed:`, error.message);
+    process.exit(1);
+  });
+}
+
+export { opmlToSources, importOpml, sourcesToOpml, exportOpml };
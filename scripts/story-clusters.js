@@ -0,0 +1,280 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { canonicalizeUrl } from './canonical-url.js';
+import { defaultConfig } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ARCHIVE_PATH = path.join(__dirname, '../data/latest-processed.json');
+
+// Articles from the same source must be near-identical (reposts, edited headlines);
+// series like "Managed Deep Agents - Intro / - Tools" are separate articles
+const SAME_SOURCE_THRESHOLD = 0.75;
+
+// MinHash signature split into LSH bands; articles sharing any band become candidate pairs.
+// 32 bands of 2 rows propose nearly every pair above 0.3 similarity.
+const NUM_HASHES = 64;
+const BANDS = 32;
+const ROWS = NUM_HASHES / BANDS;
+
+// Description words used for shingling; later text is mostly outlet-specific
+const DESCRIPTION_WORDS = 30;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+  'as', 'is', 'are', 'was', 'were', 'be', 'been', 'its', 'it', 'this', 'that', 'these', 'those',
+  'into', 'about', 'over', 'after', 'new', 'now', 'how', 'what', 'why', 'your', 'you', 'we', 'our',
+  'has', 'have', 'will', 'just', 'says', 'said', 'can', 'more', 'than', 'up', 'out', 'all',
+  'i', 'my', 'me', 'not', 'no', 'so', 'do', 'does', 'get', 'one', 'yet', 'today', 'via',
+  // Reddit feed boilerplate
+  'submitted', 'link', 'comments'
+]);
+
+// Crude suffix stripping so "launches"/"launched" and "release"/"releases" meet
+function stem(word) {
+  let stemmed = word;
+  if (stemmed.length > 5 && stemmed.endsWith('ing')) stemmed = stemmed.slice(0, -3);
+  else if (stemmed.length > 4 && (stemmed.endsWith('ed') || stemmed.endsWith('es'))) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.length > 3 && stemmed.endsWith('s') && !stemmed.endsWith('ss')) stemmed = stemmed.slice(0, -1);
+  return stemmed.length > 3 && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+}
+
+// Lowercased, stemmed content words. Dotted and hyphenated names ("gpt-5.5") stay one token.
+function tokenize(text = '') {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:[.-][a-z0-9]+)*/g) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Word shingles of an article: the title alone, and the title plus the opening of the description.
+// Crossposts share a title but not a description; outlets rewrite headlines but share key terms.
+function getShingles(article) {
+  const title = new Set(tokenize(article.title));
+  const full = new Set([...title, ...tokenize(article.metaDescription).slice(0, DESCRIPTION_WORDS)]);
+  return { title, full };
+}
+
+// 32-bit FNV-1a hash of a string
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// One independent hash function per signature slot (murmur3 finalizer over a seeded value)
+function mixHash(value, seed) {
+  let hash = (value ^ Math.imul(seed + 1, 0x9e3779b1)) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+function minHashSignature(shingles) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const value = hashString(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const hashed = mixHash(value, i);
+      if (hashed < signature[i]) signature[i] = hashed;
+    }
+  }
+  return signature;
+}
+
+// IDF-weighted Jaccard: shared rare words ("nemotron", "gpt-5.5") count for more than
+// shared common ones ("python", "agent"), so unrelated articles on one topic stay apart
+function jaccard(a, b, weights = null) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const weightOf = shingle => (weights ? weights.get(shingle) ?? 1 : 1);
+  let shared = 0;
+  let total = 0;
+  for (const shingle of a) {
+    total += weightOf(shingle);
+    if (b.has(shingle)) shared += weightOf(shingle);
+  }
+  for (const shingle of b) {
+    if (!a.has(shingle)) total += weightOf(shingle);
+  }
+  return shared / total;
+}
+
+// Inverse document frequency of every shingle across the articles being clustered
+function shingleWeights(shingleSets) {
+  const counts = new Map();
+  for (const { full } of shingleSets) {
+    for (const shingle of full) counts.set(shingle, (counts.get(shingle) || 0) + 1);
+  }
+  const total = shingleSets.length;
+  return new Map([...counts].map(([shingle, count]) => [shingle, Math.log(1 + total / count)]));
+}
+
+// Similarity of two articles: the better of title-only and title-plus-description
+function storySimilarity(a, b, weights) {
+  return Math.max(jaccard(a.title, b.title, weights), jaccard(a.full, b.full, weights));
+}
+
+// Better canonical candidate first: higher source priority, then the earlier report
+function compareCanonical(a, b) {
+  const rank = article => PRIORITY_RANK[article.source_priority] ?? PRIORITY_RANK.low;
+  return rank(a) - rank(b) || new Date(a.pubDate) - new Date(b.pubDate);
+}
+
+// Load the processed archive so new articles can join stories from earlier runs
+async function loadArchivedStories() {
+  try {
+    const data = JSON.parse(await fs.readFile(ARCHIVE_PATH, 'utf-8'));
+    return data.articles || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Group near-duplicate articles into stories. MinHash/LSH over both shingle sets proposes
+// candidate pairs, weighted Jaccard confirms them, and confirmed pairs are unioned.
+//
+// Returns { articles, coverage }:
+//   articles - one canonical article per new story, with storyId, coverageCount and alsoCoveredBy
+//   coverage - new articles that joined a story already in the archive, for the processor to merge
+//
+// similarityThreshold (crawl.storySimilarityThreshold) is the minimum weighted Jaccard
+// similarity for two articles to count as the same story.
+function clusterStories(newArticles, archivedArticles = [], similarityThreshold = defaultConfig().crawl.storySimilarityThreshold) {
+  const all = [...archivedArticles, ...newArticles];
+  const isArchived = index => index < archivedArticles.length;
+  const shingles = all.map(getShingles);
+  const weights = shingleWeights(shingles);
+
+  const parent = all.map((_, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const buckets = new Map();
+  all.forEach((article, index) => {
+    for (const kind of ['title', 'full']) {
+      if (shingles[index][kind].size === 0) continue;
+      const signature = minHashSignature(shingles[index][kind]);
+      for (let band = 0; band < BANDS; band++) {
+        const key = `${kind}:${band}:${signature.slice(band * ROWS, (band + 1) * ROWS).join(',')}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      }
+    }
+  });
+
+  // The same canonical URL is always the same story (archived URLs may predate canonicalization)
+  const firstByUrl = new Map();
+  all.forEach((article, index) => {
+    if (!article.url) return;
+    const url = canonicalizeUrl(article.url);
+    if (firstByUrl.has(url)) parent[find(index)] = find(firstByUrl.get(url));
+    else firstByUrl.set(url, index);
+  });
+
+  const compared = new Set();
+  for (const members of buckets.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]];
+        // Stories inside the archive were settled in earlier runs
+        if (isArchived(a) && isArchived(b)) continue;
+        const pairKey = `${a}:${b}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+        const threshold = all[a].source === all[b].source ? Math.max(SAME_SOURCE_THRESHOLD, similarityThreshold) : similarityThreshold;
+        if (find(a) !== find(b) && storySimilarity(shingles[a], shingles[b], weights) >= threshold) {
+          parent[find(b)] = find(a);
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  all.forEach((_, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(index);
+  });
+
+  const articles = [];
+  const coverage = [];
+
+  for (const members of clusters.values()) {
+    const fresh = members.filter(index => !isArchived(index)).map(index => all[index]);
+    if (fresh.length === 0) continue;
+
+    const archived = members.filter(isArchived).map(index => all[index]);
+    if (archived.length > 0) {
+      const storyId = archived[0].storyId || archived[0].id;
+      coverage.push(...fresh.map(article => ({
+        storyId,
+        id: article.id,
+        title: article.title,
+        url: article.url,
+        source: article.source,
+        source_priority: article.source_priority,
+        pubDate: article.pubDate
+      })));
+      continue;
+    }
+
+    // Articles carried over from the previous crawl bring the coverage found back then
+    const [canonical, ...others] = [...fresh].sort(compareCanonical);
+    const alsoCoveredBy = new Map();
+    for (const other of [...others, ...fresh.flatMap(article => article.alsoCoveredBy || [])]) {
+      const url = canonicalizeUrl(other.url);
+      if (url !== canonicalizeUrl(canonical.url) && !alsoCoveredBy.has(url)) {
+        alsoCoveredBy.set(url, { source: other.source, url: other.url, title: other.title });
+      }
+    }
+    articles.push({
+      ...canonical,
+      storyId: canonical.id,
+      coverageCount: alsoCoveredBy.size + 1,
+      alsoCoveredBy: [...alsoCoveredBy.values()]
+    });
+  }
+
+  return { articles, coverage };
+}
+
+// Attach coverage found by the crawler to the archived canonical articles of those stories
+function mergeStoryCoverage(articles, coverage = []) {
+  const byStory = new Map(articles.map(article => [article.storyId || article.id, article]));
+  let merged = 0;
+
+  for (const entry of coverage) {
+    const article = byStory.get(entry.storyId);
+    const url = canonicalizeUrl(entry.url);
+    if (!article || canonicalizeUrl(article.url) === url) continue;
+
+    const alsoCoveredBy = article.alsoCoveredBy || [];
+    if (alsoCoveredBy.some(other => canonicalizeUrl(other.url) === url)) continue;
+
+    article.storyId = entry.storyId;
+    article.alsoCoveredBy = [...alsoCoveredBy, { source: entry.source, url: entry.url, title: entry.title }];
+    article.coverageCount = article.alsoCoveredBy.length + 1;
+    merged++;
+  }
+
+  return merged;
+}
+
+export {
+  getShingles,
+  storySimilarity,
+  clusterStories,
+  loadArchivedStories,
+  mergeStoryCoverage
+};
@@ -0,0 +1,146 @@
+// Minimal non-validating XML reader for feeds. node-html-parser treats <link> as
+// an empty HTML element and keeps CDATA sections as text, so feeds get their own reader.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  nbsp: ' ', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™'
+};
+
+// Decode XML character and entity references (plus common HTML entities feeds leak)
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+// Parse an XML document into { name, attributes, children } elements; text
+// nodes are plain strings. Returns the root element or null.
+function parseXml(xml) {
+  const document = { name: '#document', attributes: {}, children: [] };
+  const stack = [document];
+  let position = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  while (position < xml.length) {
+    const tagStart = xml.indexOf('<', position);
+    if (tagStart === -1) {
+      current().children.push(decodeEntities(xml.slice(position)));
+      break;
+    }
+    if (tagStart > position) {
+      current().children.push(decodeEntities(xml.slice(position, tagStart)));
+    }
+
+    if (xml.startsWith('<![CDATA[', tagStart)) {
+      const end = xml.indexOf(']]>', tagStart);
+      const stop = end === -1 ? xml.length : end;
+      current().children.push(xml.slice(tagStart + 9, stop));
+      position = stop + 3;
+    } else if (xml.startsWith('<!--', tagStart)) {
+      const end = xml.indexOf('-->', tagStart);
+      position = end === -1 ? xml.length : end + 3;
+    } else if (xml.startsWith('<?', tagStart)) {
+      const end = xml.indexOf('?>', tagStart);
+      position = end === -1 ? xml.length : end + 2;
+    } else if (xml.startsWith('<!', tagStart)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      const bracket = xml.indexOf('[', tagStart);
+      const close = xml.indexOf('>', tagStart);
+      const end = bracket !== -1 && bracket < close ? xml.indexOf(']>', bracket) + 1 : close;
+      position = end <= 0 ? xml.length : end + 1;
+    } else if (xml[tagStart + 1] === '/') {
+      const end = xml.indexOf('>', tagStart);
+      const name = xml.slice(tagStart + 2, end === -1 ? xml.length : end).trim();
+      // Be lenient with unbalanced markup: close up to the matching element if it is open
+      const index = stack.map(element => element.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      position = end === -1 ? xml.length : end + 1;
+    } else {
+      // Find the end of the start tag, skipping '>' inside quoted attribute values
+      let end = tagStart + 1;
+      let quote = null;
+      while (end < xml.length && (quote || xml[end] !== '>')) {
+        if (quote && xml[end] === quote) quote = null;
+        else if (!quote && (xml[end] === '"' || xml[end] === "'")) quote = xml[end];
+        end++;
+      }
+      const raw = xml.slice(tagStart + 1, end);
+      const selfClosing = raw.endsWith('/');
+      const body = selfClosing ? raw.slice(0, -1) : raw;
+      const name = body.split(/\s/, 1)[0];
+      const element = { name, attributes: parseAttributes(body.slice(name.length)), children: [] };
+
+      current().children.push(element);
+      if (!selfClosing) stack.push(element);
+      position = end + 1;
+    }
+  }
+
+  return document.children.find(child => typeof child === 'object') || null;
+}
+
+// Local part of a qualified name ("media:content" -> "content")
+function localName(name) {
+  return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+}
+
+// Child elements by qualified name as written in the feed ("title", "dc:creator"), or all of them
+function childElements(element, name) {
+  if (!element) return [];
+  return element.children.filter(child => typeof child === 'object' && (!name || child.name === name));
+}
+
+function childElement(element, name) {
+  return childElements(element, name)[0] || null;
+}
+
+// Text content of an element and its descendants
+function textContent(element) {
+  if (!element) return '';
+  return element.children.map(child => typeof child === 'string' ? child : textContent(child)).join('');
+}
+
+// Trimmed text of a named child, or null when missing or empty
+function childText(element, name) {
+  const text = textContent(childElement(element, name)).trim();
+  return text || null;
+}
+
+// Serialize the children of an element back to markup (Atom type="xhtml" content)
+function innerXml(element) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return element.children.map(child => {
+    if (typeof child === 'string') return escape(child);
+    const attributes = Object.entries(child.attributes)
+      .map(([key, value]) => ` ${key}="${escape(value).replace(/"/g, '&quot;')}"`)
+      .join('');
+    return `<${child.name}${attributes}>${innerXml(child)}</${child.name}>`;
+  }).join('');
+}
+
+export {
+  decodeEntities,
+  parseXml,
+  localName,
+  childElements,
+  childElement,
+  childText,
+  textContent,
+  innerXml
+};
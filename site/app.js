@@ -2,7 +2,6 @@
 let allArticles = [];
 let filteredArticles = [];
 let currentPage = 0;
-const articlesPerPage = 20;
 let uniqueSourceCount = 0;
 
 // DOM elements
@@ -15,11 +14,16 @@ const totalCount = document.getElementById('totalCount');
 const themeToggle = document.getElementById('themeToggle');
 const dateSelect = document.getElementById('dateSelect');
 
+// Page size and high-confidence mark, set by the build from the pipeline config
+const articlesPerPage = Number(articlesGrid?.dataset.articlesPerPage) || 20;
+const highConfidence = Number(articlesGrid?.dataset.highConfidence) || 0.8;
+
 // Filters state
 const filters = {
   category: 'all',
   source: 'all',
   difficulty: 'all',
+  subject: 'all',
   search: ''
 };
 
@@ -125,6 +129,7 @@ async function handleDateChange(event) {
     filters.category = 'all';
     filters.source = 'all';
     filters.difficulty = 'all';
+    filters.subject = 'all';
     
     // Initialize filter button states
     initializeFilterStates();
@@ -219,6 +224,16 @@ function initializeFilterStates() {
       btn.classList.remove('btn-outline-light');
     }
   });
+  
+  // Set paper subject buttons
+  document.querySelectorAll('[data-subject]').forEach(btn => {
+    btn.classList.remove('active', 'btn-primary');
+    btn.classList.add('btn-outline-light');
+    if (btn.dataset.subject === filters.subject) {
+      btn.classList.add('active', 'btn-primary');
+      btn.classList.remove('btn-outline-light');
+    }
+  });
 }
 
 // Setup event listeners
@@ -270,8 +285,9 @@ function setupEventListeners() {
 function handleFilterClick(event) {
   const btn = event.target;
   const filterType = btn.dataset.category ? 'category' : 
-                    btn.dataset.source ? 'source' : 'difficulty';
-  const filterValue = btn.dataset.category || btn.dataset.source || btn.dataset.difficulty;
+                    btn.dataset.source ? 'source' :
+                    btn.dataset.subject ? 'subject' : 'difficulty';
+  const filterValue = btn.dataset.category || btn.dataset.source || btn.dataset.subject || btn.dataset.difficulty;
   
   // Remove active class and Bootstrap primary class from ALL buttons of the same filter type
   const allFilterButtons = document.querySelectorAll(`[data-${filterType}]`);
@@ -442,6 +458,11 @@ function clearSearch() {
   updateDisplay();
 }
 
+// Whether an article passes a paper subject filter; non-papers only pass "all"
+function matchesSubject(article, subject) {
+  return subject === 'all' || (article.paper && article.paper.primaryCategory === subject);
+}
+
 // Apply filters and search
 function applyFilters() {
   filteredArticles = allArticles.filter(article => {
@@ -463,10 +484,14 @@ function applyFilters() {
       if (filters.difficulty === 'hard' && difficulty < 8) return false;
     }
     
+    // Paper subject filter (arXiv primary subject class)
+    if (!matchesSubject(article, filters.subject)) return false;
+    
     // Search filter
     if (filters.search) {
       const searchableText = [
         article.title, article.source, article.category || article.source_category,
+        ...((article.paper && article.paper.authors) || []),
         ...((article.entities && article.entities.organizations) || []), 
         ...((article.entities && article.entities.products) || []),
         ...((article.entities && article.entities.technologies) || [])
@@ -490,8 +515,8 @@ function applyFilters() {
     }
     
     // 2. If same time, high confidence articles first
-    const aHighConfidence = (a.confidence || 0) > 0.8;
-    const bHighConfidence = (b.confidence || 0) > 0.8;
+    const aHighConfidence = (a.confidence || 0) > highConfidence;
+    const bHighConfidence = (b.confidence || 0) > highConfidence;
     
     if (aHighConfidence && !bHighConfidence) return -1;
     if (!aHighConfidence && bHighConfidence) return 1;
@@ -503,6 +528,12 @@ function applyFilters() {
     if (!aIsReddit && bIsReddit) return -1;
     if (aIsReddit && !bIsReddit) return 1;
     
+    // Between Reddit posts, the higher-scored one first
+    if (aIsReddit && bIsReddit) {
+      const scoreDiff = (b.reddit?.score || 0) - (a.reddit?.score || 0);
+      if (scoreDiff !== 0) return scoreDiff;
+    }
+    
     // 4. Final tie-breaker: sort by title for consistency
     return (a.title || '').localeCompare(b.title || '');
   });
@@ -531,6 +562,7 @@ function updateFilterCounts() {
           if (filters.difficulty === 'medium' && (difficulty < 4 || difficulty > 7)) return false;
           if (filters.difficulty === 'hard' && difficulty < 8) return false;
         }
+        if (!matchesSubject(article, filters.subject)) return false;
         if (filters.search) {
           const searchableText = [
             article.title, article.source, article.category || article.source_category,
@@ -561,6 +593,7 @@ function updateFilterCounts() {
         if (filters.difficulty === 'hard' && difficulty < 8) return false;
       }
       
+      if (!matchesSubject(article, filters.subject)) return false;
       if (filters.search) {
         const searchableText = [
           article.title, article.source, article.category || article.source_category,
@@ -589,6 +622,7 @@ function updateFilterCounts() {
           if (!matchesSourceCategory && !matchesAICategory) return false;
         }
         if (filters.source !== 'all' && article.source_category !== filters.source) return false;
+        if (!matchesSubject(article, filters.subject)) return false;
         if (filters.search) {
           const searchableText = [
             article.title, article.source, article.category || article.source_category,
@@ -613,6 +647,7 @@ function updateFilterCounts() {
       
       if (filters.source !== 'all' && article.source_category !== filters.source) return false;
       
+      if (!matchesSubject(article, filters.subject)) return false;
       if (filters.search) {
         const searchableText = [
           article.title, article.source, article.category || article.source_category,
@@ -649,6 +684,7 @@ function updateFilterCounts() {
           if (filters.difficulty === 'medium' && (difficulty < 4 || difficulty > 7)) return false;
           if (filters.difficulty === 'hard' && difficulty < 8) return false;
         }
+        if (!matchesSubject(article, filters.subject)) return false;
         if (filters.search) {
           const searchableText = [
             article.title, article.source, article.category || article.source_category,
@@ -674,6 +710,7 @@ function updateFilterCounts() {
         if (filters.difficulty === 'hard' && difficulty < 8) return false;
       }
       
+      if (!matchesSubject(article, filters.subject)) return false;
       if (filters.search) {
         const searchableText = [
           article.title, article.source, article.category || article.source_category,
@@ -691,6 +728,42 @@ function updateFilterCounts() {
     
     btn.textContent = `${categoryType.replace('-', ' ')} (${count})`;
   });
+  
+  // Update paper subject counts
+  document.querySelectorAll('[data-subject]').forEach(btn => {
+    const subject = btn.dataset.subject;
+    const count = allArticles.filter(article => {
+      // Apply all current filters except subject
+      if (filters.category !== 'all') {
+        const matchesSourceCategory = article.source_category === filters.category;
+        const matchesAICategory = article.category === filters.category;
+        if (!matchesSourceCategory && !matchesAICategory) return false;
+      }
+      
+      if (filters.source !== 'all' && article.source_category !== filters.source) return false;
+      
+      if (filters.difficulty !== 'all' && article.difficulty) {
+        const difficulty = article.difficulty;
+        if (filters.difficulty === 'easy' && difficulty > 3) return false;
+        if (filters.difficulty === 'medium' && (difficulty < 4 || difficulty > 7)) return false;
+        if (filters.difficulty === 'hard' && difficulty < 8) return false;
+      }
+      
+      if (filters.search) {
+        const searchableText = [
+          article.title, article.source, article.category || article.source_category,
+          ...((article.entities && article.entities.organizations) || []), ...((article.entities && article.entities.products) || []),
+          ...((article.entities && article.entities.technologies) || [])
+        ].join(' ').toLowerCase();
+        if (!searchableText.includes(filters.search)) return false;
+      }
+      
+      // Papers only, "All Subjects" counts every paper
+      return Boolean(article.paper) && matchesSubject(article, subject);
+    }).length;
+    
+    btn.textContent = subject === 'all' ? `All Subjects (${count})` : `${subject} (${count})`;
+  });
 }
 
 // Update display
@@ -811,7 +884,7 @@ function createArticleElement(article) {
   articleDiv.dataset.source = article.source_category;
   
   // AI confidence and difficulty indicators
-  const confidenceIcon = confidence > 0.8 ? '✅' : '❓';
+  const confidenceIcon = confidence > highConfidence ? '✅' : '❓';
   
   // Process entities safely
   const entities = article.entities || [];
@@ -833,6 +906,52 @@ function createArticleElement(article) {
   // Entity section
   const entitiesHTML = entityTagsHTML ? `<div class="entities">${entityTagsHTML}</div>` : '';
   
+  // Videos: thumbnail linking to the video, with a badge and the view count
+  const video = article.media && article.media.type === 'video' ? article.media : null;
+  const thumbnail = video ? httpUrl(video.thumbnail) : '';
+  const videoHTML = thumbnail
+    ? `<a href="${article.url || '#'}" target="_blank" rel="noopener" class="video-thumb">
+        <img src="${thumbnail}" alt="" loading="lazy">
+        <span class="video-badge">▶ Video${video.views ? ` · ${escapeHtml(formatViews(video.views))} views` : ''}</span>
+      </a>`
+    : '';
+  
+  // Other articles: the lead image found by the crawler, dropped if it fails to load
+  const image = !video && article.image ? httpUrl(article.image) : '';
+  const imageHTML = image
+    ? `<a href="${article.url || '#'}" target="_blank" rel="noopener" class="article-thumb">
+        <img src="${image}" alt="" loading="lazy" onerror="this.parentElement.remove()">
+      </a>`
+    : '';
+  
+  // arXiv papers: first authors, subject class and PDF link; other articles: their authors
+  const paper = article.paper;
+  const authors = (paper ? paper.authors || [] : article.authors || []).map(escapeHtml);
+  const authorsLine = authors.length > 3 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', ');
+  const authorsHTML = authors.length > 0
+    ? (paper ? `<p class="paper-authors">${authorsLine}</p>` : `<p class="article-authors">By ${authorsLine}</p>`)
+    : '';
+  const subjectHTML = paper && paper.primaryCategory
+    ? `<span class="subject-tag" title="arXiv subject class${paper.categories && paper.categories.length > 1 ? `, also ${paper.categories.slice(1).join(', ')}` : ''}">${paper.primaryCategory}</span>`
+    : '';
+  const pdfUrl = paper ? httpUrl(paper.pdfUrl) || escapeHtml(`https://arxiv.org/pdf/${paper.arxivId}`) : '';
+  const pdfHTML = paper
+    ? `<a href="${pdfUrl}" target="_blank" rel="noopener" class="pdf-link">PDF ↗</a>`
+    : '';
+  
+  // Hacker News: points and comments, linking to the discussion
+  const hackernews = article.hackernews;
+  const discussionUrl = hackernews ? httpUrl(hackernews.discussionUrl) : '';
+  const discussionHTML = discussionUrl
+    ? `<a href="${discussionUrl}" target="_blank" rel="noopener" class="discussion-link" title="Hacker News discussion">▲ ${Number(hackernews.points) || 0} · ${Number(hackernews.comments) || 0} comments</a>`
+    : '';
+  
+  // Releases: version tag, marked when it looks like a pre-release
+  const release = article.release;
+  const versionHTML = release
+    ? `<span class="version-tag${release.prerelease ? ' prerelease' : ''}" title="${escapeHtml(release.repository)} release${release.prerelease ? ' (pre-release)' : ''}">${escapeHtml(release.tag)}${release.prerelease ? ' · pre' : ''}</span>`
+    : '';
+  
   try {
     const finalHTML = `
       <div class="source-bar">
@@ -841,17 +960,24 @@ function createArticleElement(article) {
         <time class="pub-time">${timeAgo(article.pubDate || article.published_at || new Date())}</time>
       </div>
       
+      ${videoHTML}
+      ${imageHTML}
+      
       <h3 class="article-title">
         <span class="indicator-label">Title:</span>
         ${article.title || 'Untitled Article'}
       </h3>
       
+      ${authorsHTML}
+      
       ${summaryHTML}
       
       ${entitiesHTML}
       
       <div class="metadata">
         <span class="category category-${category.replace(/[^a-z0-9]/gi, '-')}">${category}</span>
+        ${subjectHTML}
+        ${versionHTML}
         <div class="indicators">
           <span class="indicator-item">
             <span class="indicator-label">Difficulty:</span>
@@ -865,6 +991,8 @@ function createArticleElement(article) {
       </div>
       
       <div class="article-actions">
+        ${pdfHTML}
+        ${discussionHTML}
         <a href="${article.url || '#'}" target="_blank" rel="noopener" class="read-more-btn">
           Read full article ↗
         </a>
@@ -961,6 +1089,29 @@ function timeAgo(dateString) {
   return date.toLocaleDateString();
 }
 
+// Escape feed-supplied text for HTML text and attribute values
+function escapeHtml(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Escaped src or href of a feed-supplied URL, or '' unless it is an http(s) URL
+function httpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? escapeHtml(parsed.href) : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// Compact view count: 950, 12K, 3.4M
+function formatViews(views) {
+  if (views >= 1e6) return `${(views / 1e6).toFixed(views >= 1e7 ? 0 : 1).replace(/\.0$/, '')}M`;
+  if (views >= 1e3) return `${(views / 1e3).toFixed(views >= 1e4 ? 0 : 1).replace(/\.0$/, '')}K`;
+  return String(views);
+}
+
 // Debounce helper
 function debounce(func, wait) {
   let timeout;